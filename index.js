@@ -1,8 +1,19 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, SlashCommandBuilder, REST, Routes, EmbedBuilder } = require('discord.js');
-const { joinVoiceChannel, createAudioPlayer, createAudioResource, AudioPlayerStatus, VoiceConnectionStatus, entersState } = require('@discordjs/voice');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Transform, PassThrough } = require('stream');
+const { spawn } = require('child_process');
+const { AsyncLocalStorage } = require('async_hooks');
+const ffmpegPath = require('ffmpeg-static');
+const musicMetadata = require('music-metadata');
+const { Client, GatewayIntentBits, SlashCommandBuilder, REST, Routes, EmbedBuilder, PermissionFlagsBits, ActionRowBuilder, StringSelectMenuBuilder, ButtonBuilder, ButtonStyle, ChannelType } = require('discord.js');
+const { joinVoiceChannel, createAudioPlayer, createAudioResource, AudioPlayerStatus, VoiceConnectionStatus, StreamType, entersState } = require('@discordjs/voice');
 const ytdl = require('@distube/ytdl-core');
 const YouTube = require('youtube-sr').default;
+const { WebSocketServer, WebSocket } = require('ws');
 
 const client = new Client({
   intents: [
@@ -14,25 +25,151 @@ const client = new Client({
 
 const TOKEN = process.env.DISCORD_TOKEN;
 const DEFAULT_VC_ID = process.env.VC_ID;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const RESUME_QUEUE = process.env.RESUME_QUEUE !== 'false';
+const PERSIST_CACHE = process.env.PERSIST_CACHE !== 'false'; // keep video metadata across restarts
+const MUSIC_DIR = process.env.MUSIC_DIR ? path.resolve(process.env.MUSIC_DIR) : null;
+const DJ_ROLE = process.env.DJ_ROLE; // role ID or name, everyone is a DJ when unset
+const VOTE_SKIP_RATIO = Number(process.env.VOTE_SKIP_RATIO) || 0.5; // share of listeners needed to skip
+const CROSSFADE_SECONDS = Number(process.env.CROSSFADE_SECONDS) || 0; // overlap between tracks, off when 0
+const API_PORT = Number(process.env.API_PORT) || null; // control API is off unless a port is set
+const API_HOST = process.env.API_HOST || '127.0.0.1';
+const API_TOKEN = process.env.API_TOKEN;
+const METRICS_PORT = Number(process.env.METRICS_PORT) || null; // /healthz and /metrics are off unless a port is set
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info'; // debug, info, warn or error
+const LOG_FORMAT = process.env.LOG_FORMAT || 'text'; // 'json' for one JSON object per line
+const LOG_FILE = process.env.LOG_FILE; // also append logs here, rotated by size
+const LOG_MAX_BYTES = Number(process.env.LOG_MAX_BYTES) || 10 * 1024 * 1024;
+const LOG_MAX_FILES = Number(process.env.LOG_MAX_FILES) || 5; // rotated files kept besides the current one
 
-// Music system variables
-let voiceConnection = null;
-let audioPlayer = null;
-let currentQueue = [];
-let isPlaying = false;
-let currentSong = null;
-let isPaused = false;
-let idleTimeout = null;
+// Music sessions, one per guild
+const sessions = new Map();
 
-// Cache for better performance
-const cache = {
-  channels: new Map(),
-  guilds: new Map(),
-  ytdlInfo: new Map()
+// Open /search menus, keyed by the search interaction ID
+const pendingSearches = new Map();
+
+// Songs each user recently queued, newest first, for /play suggestions
+const recentRequests = new Map();
+
+// Latest pending autocomplete per user, so only the last keystroke searches
+const autocompleteDebounce = new Map();
+
+// Player and queue changes, streamed to control API clients
+const sessionEvents = new EventEmitter();
+
+// Guild, command and interaction being handled, added to every log line written meanwhile
+const logContext = new AsyncLocalStorage();
+
+// Wrap a listener or timer callback that outlives the interaction it was set up in.
+// Voice and player events share timers across guilds, so only sessionLogger adds their context.
+function outsideLogContext(callback) {
+  return (...args) => logContext.exit(() => callback(...args));
+}
+
+// Open log file and how much has been written to it, for size-based rotation
+const logFile = { stream: null, size: 0 };
+
+// Counters for the /metrics endpoint
+const metrics = {
+  tracksPlayed: {}, // by outcome
+  streamErrors: 0,
+  searches: { count: 0, errors: 0, seconds: 0 },
+  voiceReconnects: 0,
+  trackGaps: {}, // by whether the song was prefetched: { count, seconds }
+  commands: {} // by command name: { count, errors, seconds }
 };
 
 // Constants for better performance
-const IDLE_TIMEOUT_MS = 2 * 60 * 1000; // 2 minutes
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 2;
+const MAX_IDLE_TIMEOUT_MINUTES = 24 * 60;
+const SESSION_SAVE_INTERVAL_MS = 15 * 1000; // how often playback positions are saved
+const PREFETCH_LEAD_SECONDS = 30; // start streaming the next song this long before the current one ends
+const PCM_BYTES_PER_SECOND = 48000 * 2 * 2; // FFmpeg's s16le stereo output
+const DEFAULT_VOLUME = 100;
+const MAX_VOLUME = 200;
+const VOLUME_STEP = 10; // for the control panel buttons
+const AUTOPLAY_HISTORY_SIZE = 50; // recently played videos autoplay won't repeat
+const AUTOPLAY_LABEL = '🤖 Autoplay';
+const HISTORY_SIZE = 100; // tracks kept per guild
+const HISTORY_PAGE_SIZE = 10;
+const QUEUE_PAGE_SIZE = 10;
+const HISTORY_OUTCOME_LABELS = {
+  finished: '✅',
+  skipped: '⏭️',
+  failed: '❌'
+};
+const DEFAULT_SEEK_STEP = 10; // seconds for /forward and /rewind
+const PROGRESS_BAR_LENGTH = 20;
+const LOOP_MODE_LABELS = {
+  off: '➡️ Off',
+  track: '🔂 Track',
+  queue: '🔁 Queue'
+};
+
+// FFmpeg filter presets; tempo is how fast the song advances per second played
+const AUDIO_FILTERS = {
+  bassboost: {
+    label: '🔊 Bass Boost',
+    build: () => ['bass=g=10', 'dynaudnorm=f=200']
+  },
+  nightcore: {
+    label: '🌙 Nightcore',
+    tempo: () => 1.25,
+    build: () => ['asetrate=48000*1.25', 'aresample=48000']
+  },
+  vaporwave: {
+    label: '🌴 Vaporwave',
+    tempo: () => 0.8,
+    build: () => ['asetrate=48000*0.8', 'aresample=48000']
+  },
+  '8d': {
+    label: '🎧 8D',
+    build: () => ['apulsator=hz=0.08']
+  },
+  karaoke: {
+    label: '🎤 Karaoke',
+    build: () => ['stereotools=mlev=0.015625']
+  },
+  speed: {
+    label: value => `⏩ Speed ${value}x`,
+    tempo: value => value,
+    build: value => [`atempo=${value}`]
+  },
+  pitch: {
+    label: value => `🎼 Pitch ${value}x`,
+    build: value => [`asetrate=48000*${value}`, 'aresample=48000', `atempo=${1 / value}`]
+  }
+};
+const DEFAULT_FILTER_VALUE = 1.25; // for speed and pitch
+const MAX_PLAYLIST_NAME_LENGTH = 50;
+const PLAYLIST_SHOW_LIMIT = 20;
+const LIBRARY_EXTENSIONS = new Set(['.mp3', '.flac', '.ogg', '.opus']);
+const LIBRARY_SEARCH_LIMIT = 10;
+const SEARCH_RESULT_LIMIT = 10;
+const SEARCH_MENU_TIMEOUT_MS = 60 * 1000; // 1 minute
+const RECENT_REQUESTS_LIMIT = 10;
+const AUTOCOMPLETE_RECENT_LIMIT = 5;
+const AUTOCOMPLETE_RESULT_LIMIT = 10;
+const AUTOCOMPLETE_MIN_QUERY_LENGTH = 3;
+const AUTOCOMPLETE_DEBOUNCE_MS = 400;
+const AUTOCOMPLETE_RESPONSE_MS = 2000; // Discord drops autocomplete replies after 3 seconds
+const VIDEO_CACHE_SIZE = 1000;
+const VIDEO_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
+const SEARCH_CACHE_SIZE = 200;
+const SEARCH_CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const UNPLAYABLE_CACHE_SIZE = 1000;
+const UNPLAYABLE_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 1 week
+const TRACK_RETRY_LIMIT = 3; // attempts per song after a retryable failure
+const TRACK_RETRY_BASE_DELAY_MS = 1000; // doubled on every retry
+const MAX_CONSECUTIVE_FAILURES = 5; // failed songs in a row before the session stops
+const VOICE_RECONNECT_GRACE_MS = 5 * 1000; // time for a dropped connection to start reconnecting
+const VOICE_READY_TIMEOUT_MS = 20 * 1000; // time for a reconnecting connection to be usable again
+const CHANNEL_CACHE_SIZE = 100;
+const CHANNEL_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const CACHE_SAVE_DELAY_MS = 5 * 1000; // batch disk writes of persisted caches
+const CACHE_STATS_INTERVAL_MS = 10 * 60 * 1000; // how often cache hit rates are logged
+const API_MAX_BODY_BYTES = 64 * 1024;
+const HEALTH_STALL_GRACE_MS = 30 * 1000; // time a track change or retry may take before /healthz fails
 const YTDL_OPTIONS = {
   filter: 'audioonly',
   quality: 'highestaudio',
@@ -44,6 +181,301 @@ const YTDL_OPTIONS = {
   }
 };
 
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LOG_LEVEL = LOG_LEVELS[LOG_LEVEL] ?? LOG_LEVELS.info;
+
+function openLogFile() {
+  fs.mkdirSync(path.dirname(LOG_FILE), { recursive: true });
+  logFile.size = fs.existsSync(LOG_FILE) ? fs.statSync(LOG_FILE).size : 0;
+  logFile.stream = fs.createWriteStream(LOG_FILE, { flags: 'a' });
+  logFile.stream.on('error', error => process.stderr.write(`Log file error: ${error.message}\n`));
+}
+
+// Shift app.log to app.log.1, app.log.1 to app.log.2 and so on, dropping the oldest
+function rotateLogFile() {
+  logFile.stream.end();
+  fs.rmSync(`${LOG_FILE}.${LOG_MAX_FILES}`, { force: true });
+  for (let index = LOG_MAX_FILES - 1; index >= 1; index--) {
+    if (fs.existsSync(`${LOG_FILE}.${index}`)) {
+      fs.renameSync(`${LOG_FILE}.${index}`, `${LOG_FILE}.${index + 1}`);
+    }
+  }
+  fs.renameSync(LOG_FILE, `${LOG_FILE}.1`);
+  openLogFile();
+}
+
+function writeLogFile(line) {
+  try {
+    if (!logFile.stream) openLogFile();
+    if (logFile.size > 0 && logFile.size + Buffer.byteLength(line) > LOG_MAX_BYTES) rotateLogFile();
+    logFile.stream.write(line);
+    logFile.size += Buffer.byteLength(line);
+  } catch (error) {
+    process.stderr.write(`Log file error: ${error.message}\n`);
+  }
+}
+
+// Errors keep their stack, everything else is logged as given
+function serializeLogValue(value) {
+  return value instanceof Error ? { message: value.message, stack: value.stack } : value;
+}
+
+function formatLogLine(entry) {
+  if (LOG_FORMAT === 'json') {
+    return JSON.stringify(entry);
+  }
+
+  const { time, level, msg, ...fields } = entry;
+  const stacks = [];
+  const fieldText = Object.entries(fields).map(([key, value]) => {
+    if (value?.stack) {
+      stacks.push(value.stack);
+      return `${key}=${JSON.stringify(value.message)}`;
+    }
+    return `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+  });
+
+  return [`${time} ${level.toUpperCase().padEnd(5)} ${msg}`, ...fieldText].join(' ') +
+    stacks.map(stack => `\n${stack}`).join('');
+}
+
+function writeLog(level, message, fields) {
+  if (LOG_LEVELS[level] < MIN_LOG_LEVEL) return;
+
+  const entry = { time: new Date().toISOString(), level, msg: message };
+  for (const [key, value] of Object.entries({ ...logContext.getStore(), ...fields })) {
+    if (value !== undefined && value !== null) entry[key] = serializeLogValue(value);
+  }
+
+  const line = `${formatLogLine(entry)}\n`;
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line);
+  if (LOG_FILE) writeLogFile(line);
+}
+
+// Leveled logger; fields and the child's context are added to each line
+function createLogger(context = {}) {
+  return {
+    debug: (message, fields) => writeLog('debug', message, { ...context, ...fields }),
+    info: (message, fields) => writeLog('info', message, { ...context, ...fields }),
+    warn: (message, fields) => writeLog('warn', message, { ...context, ...fields }),
+    error: (message, fields) => writeLog('error', message, { ...context, ...fields }),
+    child: extra => createLogger({ ...context, ...extra })
+  };
+}
+
+const logger = createLogger();
+
+// Logger tagged with the session's guild and the track it is playing
+function sessionLogger(session) {
+  return logger.child({ guildId: session.guildId, trackUrl: session.currentSong?.url });
+}
+
+// Read a JSON file from the data directory, falling back to a default value
+function readDataFile(fileName, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(DATA_DIR, fileName), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`❌ Error reading ${fileName}`, { error: error.message });
+    }
+    return fallback;
+  }
+}
+
+// Write through a temp file so a crash mid-write can't corrupt the data
+function writeDataFile(fileName, data) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const filePath = path.join(DATA_DIR, fileName);
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  } catch (error) {
+    logger.error(`❌ Error writing ${fileName}`, { error: error.message });
+  }
+}
+
+// Size-capped cache whose entries expire; Maps keep insertion order, so the first key is the least recently used
+function createLRUCache(name, { maxSize, ttlMs, fileName = null }) {
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0 };
+  let saveTimer = null;
+  
+  if (fileName) {
+    for (const [key, entry] of Object.entries(readDataFile(fileName, {}))) {
+      if (entry.expiresAt > Date.now()) entries.set(key, entry);
+    }
+  }
+  
+  const save = () => {
+    if (!fileName || saveTimer) return;
+    saveTimer = setTimeout(outsideLogContext(() => lruCache.flush()), CACHE_SAVE_DELAY_MS);
+    saveTimer.unref();
+  };
+  
+  const lruCache = {
+    name,
+    stats,
+    get size() {
+      return entries.size;
+    },
+    
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) entries.delete(key);
+        stats.misses++;
+        return undefined;
+      }
+      
+      // Move to the back so it is evicted last
+      entries.delete(key);
+      entries.set(key, entry);
+      stats.hits++;
+      return entry.value;
+    },
+    
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      if (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+      }
+      save();
+    },
+    
+    delete(key) {
+      if (entries.delete(key)) save();
+    },
+    
+    flush() {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      if (fileName) writeDataFile(fileName, Object.fromEntries(entries));
+    }
+  };
+  
+  return lruCache;
+}
+
+// Cache for better performance
+const cache = {
+  channels: createLRUCache('channels', { maxSize: CHANNEL_CACHE_SIZE, ttlMs: CHANNEL_CACHE_TTL_MS }),
+  videoInfo: createLRUCache('videoInfo', { 
+    maxSize: VIDEO_CACHE_SIZE, 
+    ttlMs: VIDEO_CACHE_TTL_MS, 
+    fileName: PERSIST_CACHE ? 'video-cache.json' : null 
+  }),
+  searches: createLRUCache('searches', { maxSize: SEARCH_CACHE_SIZE, ttlMs: SEARCH_CACHE_TTL_MS }),
+  // Videos that failed for good, by video ID, so they aren't tried again
+  unplayable: createLRUCache('unplayable', {
+    maxSize: UNPLAYABLE_CACHE_SIZE,
+    ttlMs: UNPLAYABLE_CACHE_TTL_MS,
+    fileName: PERSIST_CACHE ? 'unplayable-cache.json' : null
+  })
+};
+
+// Hit counts as of the last log line, since the stats themselves keep growing for /metrics
+const reportedCacheStats = new Map();
+
+// Log hit rates for caches that were used since the last report
+function logCacheStats() {
+  for (const lruCache of Object.values(cache)) {
+    const reported = reportedCacheStats.get(lruCache.name) || { hits: 0, misses: 0 };
+    const hits = lruCache.stats.hits - reported.hits;
+    const misses = lruCache.stats.misses - reported.misses;
+    if (hits + misses === 0) continue;
+    
+    const hitRate = Math.round(hits / (hits + misses) * 100);
+    logger.info(`📊 Cache ${lruCache.name}: ${hits} hits, ${misses} misses (${hitRate}% hit rate), ${lruCache.size} entries`);
+    reportedCacheStats.set(lruCache.name, { ...lruCache.stats });
+  }
+}
+
+// Per-guild settings, persisted across restarts
+const guildSettings = readDataFile('guild-settings.json', {});
+
+function getGuildSettings(guildId) {
+  return guildSettings[guildId] || {};
+}
+
+function updateGuildSettings(guildId, changes) {
+  guildSettings[guildId] = { ...getGuildSettings(guildId), ...changes };
+  writeDataFile('guild-settings.json', guildSettings);
+}
+
+function resetGuildSetting(guildId, key) {
+  const settings = { ...getGuildSettings(guildId) };
+  delete settings[key];
+  guildSettings[guildId] = settings;
+  writeDataFile('guild-settings.json', guildSettings);
+}
+
+// The guild's home voice channel, falling back to VC_ID
+function getHomeChannelId(guildId) {
+  return getGuildSettings(guildId).homeChannelId || DEFAULT_VC_ID;
+}
+
+// 24/7 mode keeps the bot in voice when idle, and is on unless a guild turns it off
+function isStayInVoice(guildId) {
+  return getGuildSettings(guildId).stayInVoice !== false;
+}
+
+// /settings options and the guild setting each one stores
+const SETTING_OPTIONS = {
+  'home-channel': { key: 'homeChannelId', label: 'Home voice channel' },
+  'idle-timeout': { key: 'idleTimeoutMinutes', label: 'Idle timeout' },
+  'stay-in-voice': { key: 'stayInVoice', label: '24/7 mode' },
+  'return-home': { key: 'returnHome', label: 'Return home when idle' },
+  'max-queue-size': { key: 'maxQueueSize', label: 'Max queue size' },
+  'max-track-length': { key: 'maxTrackMinutes', label: 'Max track length' },
+  'default-volume': { key: 'volume', label: 'Default volume' },
+  'announce-channel': { key: 'announceChannelId', label: 'Announcement channel' }
+};
+
+// Queues saved for resuming after a restart, keyed by guild ID
+const savedSessions = RESUME_QUEUE ? readDataFile('sessions.json', {}) : {};
+
+// Saved playlists, personal ones keyed by user ID and shared ones by guild ID
+const playlists = readDataFile('playlists.json', { users: {}, guilds: {} });
+
+// Get the playlists a command's scope option refers to
+function getPlaylistOwner(interaction) {
+  return interaction.options.getString('scope') === 'server'
+    ? { store: playlists.guilds, ownerId: interaction.guildId, scopeLabel: 'server' }
+    : { store: playlists.users, ownerId: interaction.user.id, scopeLabel: 'personal' };
+}
+
+function getPlaylist(interaction, name) {
+  const { store, ownerId } = getPlaylistOwner(interaction);
+  return store[ownerId]?.[name.toLowerCase()] || null;
+}
+
+function savePlaylists() {
+  writeDataFile('playlists.json', playlists);
+}
+
+// Shared options for the /playlist subcommands
+function addPlaylistNameOption(subcommand) {
+  return subcommand.addStringOption(option =>
+    option.setName('name')
+      .setDescription('Playlist name')
+      .setRequired(true)
+      .setMaxLength(MAX_PLAYLIST_NAME_LENGTH));
+}
+
+function addPlaylistScopeOption(subcommand) {
+  return subcommand.addStringOption(option =>
+    option.setName('scope')
+      .setDescription('Your own playlists or the ones shared with this server')
+      .addChoices(
+        { name: 'Personal', value: 'personal' },
+        { name: 'Server', value: 'server' }
+      ));
+}
+
+// Recently played tracks per guild, newest first
+const playbackHistory = readDataFile('history.json', {});
+
 // Slash commands - Pre-built for efficiency
 const commands = [
   new SlashCommandBuilder()
@@ -52,7 +484,8 @@ const commands = [
     .addStringOption(option =>
       option.setName('song')
         .setDescription('Song name or YouTube URL')
-        .setRequired(true)),
+        .setRequired(true)
+        .setAutocomplete(true)),
   
   new SlashCommandBuilder()
     .setName('skip')
@@ -60,7 +493,11 @@ const commands = [
   
   new SlashCommandBuilder()
     .setName('queue')
-    .setDescription('Show the music queue'),
+    .setDescription('Show the music queue')
+    .addIntegerOption(option =>
+      option.setName('page')
+        .setDescription('Page to show')
+        .setMinValue(1)),
   
   new SlashCommandBuilder()
     .setName('stop')
@@ -80,9 +517,309 @@ const commands = [
   
   new SlashCommandBuilder()
     .setName('leave')
-    .setDescription('Make the bot leave the voice channel')
+    .setDescription('Make the bot leave the voice channel'),
+  
+  new SlashCommandBuilder()
+    .setName('loop')
+    .setDescription('Loop the current song or the whole queue')
+    .addStringOption(option =>
+      option.setName('mode')
+        .setDescription('Loop mode')
+        .setRequired(true)
+        .addChoices(
+          { name: 'Off', value: 'off' },
+          { name: 'Track', value: 'track' },
+          { name: 'Queue', value: 'queue' }
+        )),
+  
+  new SlashCommandBuilder()
+    .setName('playnext')
+    .setDescription('Play a song from YouTube right after the current one')
+    .addStringOption(option =>
+      option.setName('song')
+        .setDescription('Song name or YouTube URL')
+        .setRequired(true)
+        .setAutocomplete(true)),
+  
+  new SlashCommandBuilder()
+    .setName('remove')
+    .setDescription('Remove a song from the queue')
+    .addIntegerOption(option =>
+      option.setName('position')
+        .setDescription('Position of the song in the queue')
+        .setRequired(true)
+        .setMinValue(1)),
+  
+  new SlashCommandBuilder()
+    .setName('move')
+    .setDescription('Move a song to another position in the queue')
+    .addIntegerOption(option =>
+      option.setName('from')
+        .setDescription('Current position of the song')
+        .setRequired(true)
+        .setMinValue(1))
+    .addIntegerOption(option =>
+      option.setName('to')
+        .setDescription('New position of the song')
+        .setRequired(true)
+        .setMinValue(1)),
+  
+  new SlashCommandBuilder()
+    .setName('shuffle')
+    .setDescription('Shuffle the queue'),
+  
+  new SlashCommandBuilder()
+    .setName('clear')
+    .setDescription('Clear the queue but keep the current song'),
+  
+  new SlashCommandBuilder()
+    .setName('skipto')
+    .setDescription('Skip to a song in the queue')
+    .addIntegerOption(option =>
+      option.setName('position')
+        .setDescription('Position of the song in the queue')
+        .setRequired(true)
+        .setMinValue(1)),
+  
+  new SlashCommandBuilder()
+    .setName('volume')
+    .setDescription('Change the playback volume')
+    .addIntegerOption(option =>
+      option.setName('level')
+        .setDescription(`Volume level (0-${MAX_VOLUME})`)
+        .setRequired(true)
+        .setMinValue(0)
+        .setMaxValue(MAX_VOLUME)),
+  
+  new SlashCommandBuilder()
+    .setName('seek')
+    .setDescription('Jump to a position in the current song')
+    .addStringOption(option =>
+      option.setName('position')
+        .setDescription('Position as mm:ss, h:mm:ss or seconds')
+        .setRequired(true)),
+  
+  new SlashCommandBuilder()
+    .setName('forward')
+    .setDescription('Fast forward the current song')
+    .addIntegerOption(option =>
+      option.setName('seconds')
+        .setDescription(`Seconds to skip forward (default ${DEFAULT_SEEK_STEP})`)
+        .setMinValue(1)),
+  
+  new SlashCommandBuilder()
+    .setName('rewind')
+    .setDescription('Rewind the current song')
+    .addIntegerOption(option =>
+      option.setName('seconds')
+        .setDescription(`Seconds to rewind (default ${DEFAULT_SEEK_STEP})`)
+        .setMinValue(1)),
+  
+  new SlashCommandBuilder()
+    .setName('filter')
+    .setDescription('Toggle an audio filter on the current song')
+    .addStringOption(option =>
+      option.setName('preset')
+        .setDescription('Filter preset')
+        .setRequired(true)
+        .addChoices(
+          { name: 'Bass Boost', value: 'bassboost' },
+          { name: 'Nightcore', value: 'nightcore' },
+          { name: 'Vaporwave', value: 'vaporwave' },
+          { name: '8D', value: '8d' },
+          { name: 'Karaoke', value: 'karaoke' },
+          { name: 'Speed', value: 'speed' },
+          { name: 'Pitch', value: 'pitch' },
+          { name: 'Off', value: 'off' }
+        ))
+    .addNumberOption(option =>
+      option.setName('value')
+        .setDescription(`Multiplier for speed and pitch (default ${DEFAULT_FILTER_VALUE})`)
+        .setMinValue(0.5)
+        .setMaxValue(2)),
+  
+  new SlashCommandBuilder()
+    .setName('playlist')
+    .setDescription('Manage saved playlists')
+    .addSubcommand(subcommand =>
+      addPlaylistScopeOption(addPlaylistNameOption(subcommand
+        .setName('save')
+        .setDescription('Save the current song and queue as a playlist'))))
+    .addSubcommand(subcommand =>
+      addPlaylistScopeOption(addPlaylistNameOption(subcommand
+        .setName('load')
+        .setDescription('Add a saved playlist to the queue'))))
+    .addSubcommand(subcommand =>
+      addPlaylistScopeOption(addPlaylistNameOption(subcommand
+        .setName('add')
+        .setDescription('Add a song to a saved playlist'))
+        .addStringOption(option =>
+          option.setName('song')
+            .setDescription('Song name or YouTube URL')
+            .setRequired(true))))
+    .addSubcommand(subcommand =>
+      addPlaylistScopeOption(subcommand
+        .setName('list')
+        .setDescription('List saved playlists')))
+    .addSubcommand(subcommand =>
+      addPlaylistScopeOption(addPlaylistNameOption(subcommand
+        .setName('show')
+        .setDescription('Show the songs in a saved playlist'))))
+    .addSubcommand(subcommand =>
+      addPlaylistScopeOption(addPlaylistNameOption(subcommand
+        .setName('delete')
+        .setDescription('Delete a saved playlist')))),
+  
+  new SlashCommandBuilder()
+    .setName('library')
+    .setDescription('Play music from the local library')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('search')
+        .setDescription('Search the local library')
+        .addStringOption(option =>
+          option.setName('query')
+            .setDescription('Title, artist or album')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('play')
+        .setDescription('Queue a track, album or artist from the local library')
+        .addStringOption(option =>
+          option.setName('type')
+            .setDescription('What to queue')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Track', value: 'track' },
+              { name: 'Album', value: 'album' },
+              { name: 'Artist', value: 'artist' }
+            ))
+        .addStringOption(option =>
+          option.setName('query')
+            .setDescription('Title, artist or album')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('rescan')
+        .setDescription('Rescan the music folder for new or changed files')),
+  
+  new SlashCommandBuilder()
+    .setName('search')
+    .setDescription('Search YouTube and pick which results to queue')
+    .addStringOption(option =>
+      option.setName('query')
+        .setDescription('Song name')
+        .setRequired(true)),
+  
+  new SlashCommandBuilder()
+    .setName('autoplay')
+    .setDescription('Keep playing related songs when the queue runs out')
+    .addStringOption(option =>
+      option.setName('mode')
+        .setDescription('Turn autoplay on or off')
+        .setRequired(true)
+        .addChoices(
+          { name: 'On', value: 'on' },
+          { name: 'Off', value: 'off' }
+        )),
+  
+  new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('Show recently played songs')
+    .addIntegerOption(option =>
+      option.setName('page')
+        .setDescription('Page to show')
+        .setMinValue(1)),
+  
+  new SlashCommandBuilder()
+    .setName('replay')
+    .setDescription('Queue a song from the history again')
+    .addIntegerOption(option =>
+      option.setName('entry')
+        .setDescription('Number of the song in /history')
+        .setRequired(true)
+        .setMinValue(1)),
+  
+  new SlashCommandBuilder()
+    .setName('previous')
+    .setDescription('Go back to the song that just ended'),
+  
+  new SlashCommandBuilder()
+    .setName('settings')
+    .setDescription('View or change this server\'s music settings')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('view')
+        .setDescription('Show the current settings'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('Change one or more settings')
+        .addChannelOption(option =>
+          option.setName('home-channel')
+            .setDescription('Voice channel the bot joins on startup and when idle')
+            .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice))
+        .addIntegerOption(option =>
+          option.setName('idle-timeout')
+            .setDescription('Minutes without music before the bot goes idle')
+            .setMinValue(1)
+            .setMaxValue(MAX_IDLE_TIMEOUT_MINUTES))
+        .addBooleanOption(option =>
+          option.setName('stay-in-voice')
+            .setDescription('24/7 mode: stay in voice when idle instead of leaving'))
+        .addBooleanOption(option =>
+          option.setName('return-home')
+            .setDescription('Move back to the home channel when idle'))
+        .addIntegerOption(option =>
+          option.setName('max-queue-size')
+            .setDescription('Most songs the queue can hold, 0 for no limit')
+            .setMinValue(0))
+        .addIntegerOption(option =>
+          option.setName('max-track-length')
+            .setDescription('Longest song that can be queued in minutes, 0 for no limit')
+            .setMinValue(0))
+        .addIntegerOption(option =>
+          option.setName('default-volume')
+            .setDescription(`Volume the bot plays at (0-${MAX_VOLUME})`)
+            .setMinValue(0)
+            .setMaxValue(MAX_VOLUME))
+        .addChannelOption(option =>
+          option.setName('announce-channel')
+            .setDescription('Text channel for now playing messages')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('reset')
+        .setDescription('Restore a setting to its default')
+        .addStringOption(option =>
+          option.setName('setting')
+            .setDescription('Setting to reset')
+            .setRequired(true)
+            .addChoices(...Object.entries(SETTING_OPTIONS).map(([name, { label }]) => ({ name: label, value: name })))))
 ].map(command => command.toJSON());
 
+// Format seconds as m:ss or h:mm:ss
+function formatDuration(totalSeconds) {
+  if (totalSeconds == null || !Number.isFinite(totalSeconds)) return 'N/A';
+  
+  const seconds = Math.floor(totalSeconds % 60).toString().padStart(2, '0');
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const hours = Math.floor(totalSeconds / 3600);
+  
+  return hours > 0 
+    ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}` 
+    : `${minutes}:${seconds}`;
+}
+
+// Parse mm:ss, h:mm:ss or plain seconds into seconds
+function parseTimestamp(value) {
+  const parts = value.trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) return null;
+  
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+}
+
 // Function to detect if a URL is a YouTube playlist and what type
 function isYouTubePlaylist(url) {
   const isRegularPlaylist = url.includes('youtube.com/playlist?list=') || 
@@ -143,7 +880,7 @@ async function getPlaylistVideos(playlistUrl) {
     
     // Handle special playlists (Mix, Watch Later, Likes, etc.)
     if (playlistInfo.isMix || !playlistInfo.isRegular) {
-      console.log(`🎵 Detected special YouTube playlist (${playlistId}), using alternate fetching method`);
+      logger.debug(`🎵 Detected special YouTube playlist (${playlistId}), using alternate fetching method`);
       
       // First, try to get the video ID if we're on a watch page
       let videoId = extractVideoId(playlistUrl);
@@ -158,8 +895,8 @@ async function getPlaylistVideos(playlistUrl) {
         videos.push({
           title: videoInfo.videoDetails.title,
           url: `https://www.youtube.com/watch?v=${videoId}`,
-          duration: videoInfo.videoDetails.lengthSeconds ? 
-            `${Math.floor(videoInfo.videoDetails.lengthSeconds / 60)}:${(videoInfo.videoDetails.lengthSeconds % 60).toString().padStart(2, '0')}` : 'N/A',
+          duration: formatDuration(Number(videoInfo.videoDetails.lengthSeconds) || null),
+          durationSeconds: Number(videoInfo.videoDetails.lengthSeconds) || null,
           thumbnail: videoInfo.videoDetails.thumbnails?.[0]?.url || null
         });
         
@@ -169,8 +906,8 @@ async function getPlaylistVideos(playlistUrl) {
           .map(video => ({
             title: video.title || 'Unknown Title',
             url: `https://www.youtube.com/watch?v=${video.id}`,
-            duration: video.length_seconds ? 
-              `${Math.floor(video.length_seconds / 60)}:${(video.length_seconds % 60).toString().padStart(2, '0')}` : 'N/A',
+            duration: formatDuration(Number(video.length_seconds) || null),
+            durationSeconds: Number(video.length_seconds) || null,
             thumbnail: video.thumbnails?.[0]?.url || null
           }));
         
@@ -189,11 +926,12 @@ async function getPlaylistVideos(playlistUrl) {
               title: video.title,
               url: video.url,
               duration: video.durationFormatted || 'N/A',
+              durationSeconds: video.duration ? Math.floor(video.duration / 1000) : null,
               thumbnail: video.thumbnail?.url || null
             }));
           }
         } catch (searchError) {
-          console.error('Failed to search for playlist videos:', searchError);
+          logger.warn('Failed to search for playlist videos', { error: searchError });
           // Continue with empty or partial list
         }
       }
@@ -215,11 +953,12 @@ async function getPlaylistVideos(playlistUrl) {
             title: video.title,
             url: `https://www.youtube.com/watch?v=${video.id}`,
             duration: video.durationFormatted || 'N/A',
+            durationSeconds: video.duration ? Math.floor(video.duration / 1000) : null,
             thumbnail: video.thumbnail?.url || null
           }));
         }
       } catch (playlistError) {
-        console.error('Error fetching playlist with YouTube-sr:', playlistError);
+        logger.warn('Error fetching playlist with YouTube-sr', { error: playlistError });
         // Continue to fallback method
       }
       
@@ -235,26 +974,28 @@ async function getPlaylistVideos(playlistUrl) {
             title: video.title,
             url: video.url,
             duration: video.durationFormatted || 'N/A',
+            durationSeconds: video.duration ? Math.floor(video.duration / 1000) : null,
             thumbnail: video.thumbnail?.url || null
           }));
         } else {
           throw new Error('No videos found in playlist');
         }
       } catch (searchError) {
-        console.error('Error searching for playlist videos:', searchError);
+        logger.warn('Error searching for playlist videos', { error: searchError });
         throw searchError;
       }
     }
   } catch (error) {
-    console.error('Error fetching playlist:', error);
+    logger.error('Error fetching playlist', { error });
     return null;
   }
 }
 
 // Optimized channel fetching with caching
 async function getCachedChannel(channelId) {
-  if (cache.channels.has(channelId)) {
-    return cache.channels.get(channelId);
+  const cachedChannel = cache.channels.get(channelId);
+  if (cachedChannel) {
+    return cachedChannel;
   }
   
   try {
@@ -264,716 +1005,3497 @@ async function getCachedChannel(channelId) {
     }
     return channel;
   } catch (error) {
-    console.error(`❌ Error fetching channel ${channelId}:`, error.message);
+    logger.error('❌ Error fetching channel', { channelId, error: error.message });
     return null;
   }
 }
 
+// Create the playback state for a single guild
+function createGuildSession(guildId) {
+  const session = {
+    guildId,
+    voiceConnection: null,
+    audioPlayer: null,
+    currentResource: null,
+    seekOffset: 0,
+    playbackTempo: 1,
+    queue: [],
+    textChannelId: null,
+    currentSong: null,
+    isPlaying: false,
+    isPaused: false,
+    idleTimeout: null,
+    loopMode: 'off',
+    trackState: 'idle', // idle, advancing, loading, playing or retrying
+    trackStateChangedAt: Date.now(),
+    trackError: null,
+    trackRetries: 0,
+    retryTimer: null,
+    consecutiveFailures: 0,
+    trackSkipped: false,
+    trackFailed: false,
+    pauseOnPlay: false, // a seek or filter change restarted a paused song
+    songStartedAt: null,
+    skipVotes: new Set(),
+    autoplay: false,
+    recentVideoIds: [],
+    volume: getGuildSettings(guildId).volume ?? DEFAULT_VOLUME,
+    filters: {},
+    nowPlayingPanel: null,
+    panelUpdate: Promise.resolve(),
+    prefetch: null,
+    prefetchTimer: null,
+    trackEndedAt: null
+  };
+  
+  initializeAudioPlayer(session);
+  return session;
+}
+
+// Get the guild's session, creating it on first use
+function getGuildSession(guildId) {
+  let session = sessions.get(guildId);
+  if (!session) {
+    session = createGuildSession(guildId);
+    sessions.set(guildId, session);
+  }
+  return session;
+}
+
+// Snapshot a session's queue and position so it can resume after a restart
+function persistSession(session) {
+  if (!RESUME_QUEUE) return;
+  
+  const voiceChannelId = session.voiceConnection?.joinConfig?.channelId;
+  
+  if (!voiceChannelId || (!session.currentSong && session.queue.length === 0)) {
+    if (!savedSessions[session.guildId]) return;
+    delete savedSessions[session.guildId];
+  } else {
+    savedSessions[session.guildId] = {
+      voiceChannelId,
+      textChannelId: session.textChannelId,
+      currentSong: session.currentSong,
+      position: getPlaybackPosition(session),
+      queue: session.queue,
+      loopMode: session.loopMode,
+      filters: session.filters,
+      autoplay: session.autoplay
+    };
+  }
+  
+  writeDataFile('sessions.json', savedSessions);
+}
+
+// Rejoin and continue every session that was playing before the restart
+async function resumeSavedSessions() {
+  for (const [guildId, saved] of Object.entries(savedSessions)) {
+    const channel = await getCachedChannel(saved.voiceChannelId);
+    if (!channel) {
+      logger.warn('❌ Saved voice channel not found, dropping saved queue', { guildId });
+      delete savedSessions[guildId];
+      continue;
+    }
+    
+    const session = getGuildSession(guildId);
+    session.textChannelId = saved.textChannelId;
+    session.loopMode = saved.loopMode || 'off';
+    session.filters = saved.filters || {};
+    session.autoplay = Boolean(saved.autoplay);
+    
+    // Nothing would play a queue restored without a connection, and /play would start it first
+    if (!await ensureVoiceConnection(session, channel)) {
+      continue;
+    }
+    
+    session.queue.push(...saved.queue);
+    emitQueueUpdate(session);
+    
+    if (saved.currentSong) {
+      session.currentSong = saved.currentSong;
+      sessionLogger(session).info(`🔁 Resuming ${saved.currentSong.title} at ${formatDuration(saved.position)}`);
+      playSong(session, saved.currentSong, saved.position);
+    } else {
+      playNextSong(session);
+    }
+    
+    const textChannel = saved.textChannelId && await getCachedChannel(saved.textChannelId);
+    textChannel?.send(`🔁 Resumed playback after a restart with **${session.queue.length + (saved.currentSong ? 1 : 0)} songs**.`)
+      .catch(() => {});
+  }
+  
+  writeDataFile('sessions.json', savedSessions);
+}
+
 // Fast voice channel validation
 function checkSameVoiceChannel(interaction) {
   const userVoiceChannel = interaction.member?.voice?.channel;
+  const session = sessions.get(interaction.guildId);
   
   if (!userVoiceChannel) {
     return { allowed: false, message: '❌ You need to be in a voice channel to use this command!' };
   }
   
-  if (!voiceConnection?.joinConfig?.channelId) {
+  if (!session?.voiceConnection?.joinConfig?.channelId) {
     return { allowed: false, message: '❌ Bot is not connected to any voice channel!' };
   }
   
-  if (userVoiceChannel.id !== voiceConnection.joinConfig.channelId) {
+  if (userVoiceChannel.id !== session.voiceConnection.joinConfig.channelId) {
     return { allowed: false, message: '❌ You need to be in the same voice channel as the bot to use this command!' };
   }
   
-  return { allowed: true };
+  return { allowed: true, session };
+}
+
+// DJs have the DJ role or Manage Server; without a DJ role everyone is a DJ
+function isDJ(member) {
+  if (!DJ_ROLE) return true;
+  if (member.permissions.has(PermissionFlagsBits.ManageGuild)) return true;
+  return member.roles.cache.some(role => role.id === DJ_ROLE || role.name === DJ_ROLE);
+}
+
+// DJs and the person who queued a song can skip it outright
+function canSkipSong(member, song) {
+  return isDJ(member) || song?.requestedBy === member.id;
+}
+
+// Stopping, clearing or leaving needs a DJ, or a member who queued every song left
+function canManageQueue(member, session) {
+  if (isDJ(member)) return true;
+  const songs = [session.currentSong, ...session.queue].filter(Boolean);
+  return songs.every(song => song.requestedBy === member.id);
+}
+
+const DJ_ONLY_MESSAGE = '❌ Only DJs or the person who queued every song can do that. Use `/skip` to vote instead.';
+
+// Count a skip vote from a listener; votes from people who left no longer count
+function registerSkipVote(session, member) {
+  const channel = member.guild.channels.cache.get(session.voiceConnection.joinConfig.channelId);
+  const listeners = channel ? channel.members.filter(listener => !listener.user.bot) : null;
+  
+  session.skipVotes.add(member.id);
+  const votes = listeners 
+    ? [...session.skipVotes].filter(id => listeners.has(id)).length 
+    : session.skipVotes.size;
+  const required = Math.max(1, Math.ceil((listeners?.size || 1) * VOTE_SKIP_RATIO));
+  
+  return { votes, required, passed: votes >= required };
 }
 
 // Optimized bot VC status check
-function isBotInAnyVC() {
-  return voiceConnection?.state?.status === VoiceConnectionStatus.Ready;
+function isBotInVC(session) {
+  return session.voiceConnection?.state?.status === VoiceConnectionStatus.Ready;
 }
 
 // Efficient disconnect handler
-function handleVoiceDisconnect() {
-  if (isPlaying || isPaused) {
-    audioPlayer?.stop(true);
-    isPlaying = false;
-    isPaused = false;
-    currentSong = null;
-    currentQueue.length = 0; // Faster than = []
-    console.log('⏹️ Stopped music and cleared queue due to VC disconnect.');
+function handleVoiceDisconnect(session) {
+  if (session.trackState !== 'idle') {
+    cancelTrackRetry(session);
+    stopCurrentTrack(session);
+    discardPrefetch(session);
+    session.isPlaying = false;
+    session.isPaused = false;
+    session.currentSong = null;
+    session.queue.length = 0; // Faster than = []
+    setTrackState(session, 'idle');
+    sessionLogger(session).info('⏹️ Stopped music and cleared queue due to VC disconnect');
+    persistSession(session);
+    emitQueueUpdate(session);
+    updateNowPlayingPanel(session);
   }
   
-  if (!idleTimeout) {
-    startIdleTimeout();
+  if (!session.idleTimeout) {
+    startIdleTimeout(session);
   }
 }
 
 // Optimized voice connection setup
-function setupVoiceConnectionListeners(connection) {
+function setupVoiceConnectionListeners(session, connection) {
   if (!connection) return;
 
   // Remove all listeners at once for better performance
   connection.removeAllListeners();
 
-  connection.on(VoiceConnectionStatus.Disconnected, () => {
-    console.log('🔌 Bot was disconnected from the voice channel.');
-    handleVoiceDisconnect();
-  });
+  connection.on(VoiceConnectionStatus.Disconnected, outsideLogContext(() => {
+    sessionLogger(session).warn('🔌 Voice connection dropped, waiting for it to reconnect');
+    recoverVoiceConnection(session, connection);
+  }));
 
-  connection.on(VoiceConnectionStatus.Destroyed, () => {
-    console.log('🗑️ Voice connection was destroyed.');
-    handleVoiceDisconnect();
-  });
+  connection.on(VoiceConnectionStatus.Destroyed, outsideLogContext(() => {
+    sessionLogger(session).info('🗑️ Voice connection was destroyed');
+    handleVoiceDisconnect(session);
+  }));
 
-  connection.on('error', (error) => {
-    console.error('Voice connection error:', error.message);
+  connection.on('stateChange', (oldState, newState) => {
+    if (oldState.status === VoiceConnectionStatus.Disconnected && newState.status !== VoiceConnectionStatus.Destroyed) {
+      metrics.voiceReconnects++;
+    }
   });
+
+  connection.on('error', outsideLogContext((error) => {
+    sessionLogger(session).error('Voice connection error', { error: error.message });
+  }));
 }
 
-// Optimized default VC joining
-async function joinDefaultVC() {
-  if (!DEFAULT_VC_ID) return;
+// Network blips and channel moves reconnect on their own, only a kick never does
+async function recoverVoiceConnection(session, connection) {
+  const channelId = connection.joinConfig.channelId;
   
   try {
-    const channel = await getCachedChannel(DEFAULT_VC_ID);
-    if (!channel) {
-      console.error('❌ Default voice channel not found');
-      return;
+    await Promise.race([
+      entersState(connection, VoiceConnectionStatus.Signalling, VOICE_RECONNECT_GRACE_MS),
+      entersState(connection, VoiceConnectionStatus.Connecting, VOICE_RECONNECT_GRACE_MS),
+    ]);
+    await entersState(connection, VoiceConnectionStatus.Ready, VOICE_READY_TIMEOUT_MS);
+  } catch {
+    // Destroying clears the session through the Destroyed listener
+    if (connection.state.status !== VoiceConnectionStatus.Destroyed) {
+      sessionLogger(session).warn('🔌 Bot was disconnected from the voice channel');
+      connection.destroy();
     }
-    
+    return;
+  }
+  
+  // A /leave or a new join may have replaced the connection while we waited
+  if (session.voiceConnection !== connection) return;
+  
+  // The player auto-pauses without a connection and picks up where it stopped
+  connection.subscribe(session.audioPlayer);
+  
+  if (connection.joinConfig.channelId !== channelId) {
+    sessionLogger(session).info('🔀 Followed a move to another voice channel', { channelId: connection.joinConfig.channelId });
+    persistSession(session);
+  } else {
+    sessionLogger(session).info('🔗 Voice connection recovered');
+  }
+}
+
+// Join the given voice channel unless the session is already connected there
+async function ensureVoiceConnection(session, voiceChannel) {
+  if (session.voiceConnection && isBotInVC(session) && session.voiceConnection.joinConfig.channelId === voiceChannel.id) {
+    return true;
+  }
+  
+  if (session.voiceConnection) {
+    session.voiceConnection.destroy();
+  }
+  
+  session.voiceConnection = joinVoiceChannel({
+    channelId: voiceChannel.id,
+    guildId: voiceChannel.guild.id,
+    adapterCreator: voiceChannel.guild.voiceAdapterCreator,
+  });
+
+  setupVoiceConnectionListeners(session, session.voiceConnection);
+  
+  try {
+    await entersState(session.voiceConnection, VoiceConnectionStatus.Ready, 10_000);
+    sessionLogger(session).info(`🔗 Joined voice channel: ${voiceChannel.name}`);
+    return true;
+  } catch (error) {
+    sessionLogger(session).error('❌ Failed to join voice channel', { error: error.message });
+    return false;
+  }
+}
+
+// Join the session's home voice channel, or every guild's on startup
+async function joinDefaultVC(session = null) {
+  // On startup, join the home channel of every guild that has one
+  if (!session) {
+    for (const guildId of client.guilds.cache.keys()) {
+      // Don't pull a resumed session out of its channel on startup
+      if (sessions.has(guildId) && isBotInVC(sessions.get(guildId))) {
+        logger.info('✅ Already connected, not moving to the home VC', { guildId });
+        continue;
+      }
+      
+      const channel = await getHomeChannel(guildId);
+      if (channel) await connectToHomeChannel(getGuildSession(guildId), channel);
+    }
+    return;
+  }
+  
+  const channel = await getHomeChannel(session.guildId);
+  if (channel) await connectToHomeChannel(session, channel);
+}
+
+// The guild's home voice channel, if it has one that still exists
+async function getHomeChannel(guildId) {
+  const channelId = getHomeChannelId(guildId);
+  if (!channelId) return null;
+  
+  const channel = await getCachedChannel(channelId);
+  if (!channel) {
+    logger.warn('❌ Home voice channel not found', { guildId, channelId });
+    return null;
+  }
+  
+  // VC_ID only belongs to one guild
+  return channel.guild.id === guildId ? channel : null;
+}
+
+async function connectToHomeChannel(session, channel) {
+  try {
     // Destroy existing connection efficiently
-    if (voiceConnection) {
-      voiceConnection.destroy();
+    if (session.voiceConnection) {
+      session.voiceConnection.destroy();
     }
     
-    voiceConnection = joinVoiceChannel({
-      channelId: DEFAULT_VC_ID,
+    session.voiceConnection = joinVoiceChannel({
+      channelId: channel.id,
       guildId: channel.guild.id,
       adapterCreator: channel.guild.voiceAdapterCreator,
     });
 
-    setupVoiceConnectionListeners(voiceConnection);
+    setupVoiceConnectionListeners(session, session.voiceConnection);
     
     // Wait for connection to be ready with timeout
     try {
-      await entersState(voiceConnection, VoiceConnectionStatus.Ready, 10_000);
-      console.log(`🔗 Joined default voice channel: ${channel.name}`);
+      await entersState(session.voiceConnection, VoiceConnectionStatus.Ready, 10_000);
+      sessionLogger(session).info(`🔗 Joined home voice channel: ${channel.name}`);
     } catch (error) {
-      console.error('❌ Failed to establish voice connection:', error.message);
-      voiceConnection.destroy();
-      voiceConnection = null;
+      sessionLogger(session).error('❌ Failed to establish voice connection', { error: error.message });
+      session.voiceConnection.destroy();
+      session.voiceConnection = null;
     }
     
   } catch (error) {
-    console.error('❌ Error joining default voice channel:', error.message);
+    sessionLogger(session).error('❌ Error joining home voice channel', { error: error.message });
   }
 }
 
 // Optimized timeout management
-function startIdleTimeout() {
-  if (idleTimeout) {
-    clearTimeout(idleTimeout);
+function startIdleTimeout(session) {
+  if (session.idleTimeout) {
+    clearTimeout(session.idleTimeout);
   }
   
-  idleTimeout = setTimeout(async () => {
-    console.log('⏰ Idle timeout reached.');
-    if (!isBotInAnyVC()) {
-      console.log('🔄 Not in any voice channel, returning to default VC');
-      await joinDefaultVC();
-    } else {
-      console.log('✅ Still in a voice channel, not moving to default VC');
+  const settings = getGuildSettings(session.guildId);
+  const timeoutMinutes = settings.idleTimeoutMinutes || DEFAULT_IDLE_TIMEOUT_MINUTES;
+  
+  session.idleTimeout = setTimeout(outsideLogContext(async () => {
+    session.idleTimeout = null;
+    sessionLogger(session).info('⏰ Idle timeout reached');
+    const homeChannelId = getHomeChannelId(session.guildId);
+    
+    if (isBotInVC(session) && settings.returnHome && homeChannelId && 
+        session.voiceConnection.joinConfig.channelId !== homeChannelId) {
+      sessionLogger(session).info('🏠 Idle away from home, returning to the home VC');
+      await joinDefaultVC(session);
+    } else if (isStayInVoice(session.guildId)) {
+      if (!isBotInVC(session)) {
+        sessionLogger(session).info('🔄 Not in any voice channel, returning to home VC');
+        await joinDefaultVC(session);
+      } else {
+        sessionLogger(session).info('✅ Still in a voice channel, staying for 24/7 mode');
+      }
+    } else if (isBotInVC(session)) {
+      sessionLogger(session).info('👋 Leaving the voice channel after being idle');
+      session.voiceConnection.destroy();
+      session.voiceConnection = null;
     }
-  }, IDLE_TIMEOUT_MS);
+  }), timeoutMinutes * 60 * 1000);
   
-  console.log('⏱️ Idle timeout started (2 minutes)');
+  sessionLogger(session).debug(`⏱️ Idle timeout started (${timeoutMinutes} minutes)`);
 }
 
-function clearIdleTimeout() {
-  if (idleTimeout) {
-    clearTimeout(idleTimeout);
-    idleTimeout = null;
-    console.log('⏱️ Idle timeout cleared');
+function clearIdleTimeout(session) {
+  if (session.idleTimeout) {
+    clearTimeout(session.idleTimeout);
+    session.idleTimeout = null;
+    sessionLogger(session).debug('⏱️ Idle timeout cleared');
   }
 }
 
 // Optimized audio player initialization
-function initializeAudioPlayer() {
-  if (audioPlayer) {
-    audioPlayer.removeAllListeners();
+function initializeAudioPlayer(session) {
+  if (session.audioPlayer) {
+    session.audioPlayer.removeAllListeners();
   }
   
-  audioPlayer = createAudioPlayer();
+  const audioPlayer = createAudioPlayer();
+  session.audioPlayer = audioPlayer;
   
-  audioPlayer.on(AudioPlayerStatus.Playing, () => {
-    isPlaying = true;
-    isPaused = false;
-    clearIdleTimeout();
-    console.log(`🎵 Now Playing: ${currentSong?.title || 'Unknown'}`);
-  });
+  // Keep the control panel in sync with every status transition
+  audioPlayer.on('stateChange', outsideLogContext((oldState, newState) => {
+    if (oldState.status !== newState.status) {
+      updateNowPlayingPanel(session);
+      sessionEvents.emit('event', { 
+        type: 'player', 
+        guildId: session.guildId, 
+        status: newState.status, 
+        song: session.currentSong 
+      });
+    }
+  }));
   
-  audioPlayer.on(AudioPlayerStatus.Paused, () => {
-    isPaused = true;
-    console.log('⏸️ Music paused');
-  });
+  audioPlayer.on(AudioPlayerStatus.Playing, outsideLogContext(() => {
+    session.isPlaying = true;
+    setTrackState(session, 'playing');
+    
+    // The new resource can only be paused once it plays
+    if (session.pauseOnPlay) {
+      session.pauseOnPlay = false;
+      session.audioPlayer.pause();
+      return;
+    }
+    
+    session.isPaused = false;
+    clearIdleTimeout(session);
+    sessionLogger(session).info(`🎵 Now Playing: ${session.currentSong?.title || 'Unknown'}`);
+    
+    if (session.trackEndedAt) {
+      const prefetched = Boolean(session.currentResource?.metadata?.prefetched);
+      const gapMs = Date.now() - session.trackEndedAt;
+      const gaps = metrics.trackGaps[prefetched] ??= { count: 0, seconds: 0 };
+      gaps.count++;
+      gaps.seconds += gapMs / 1000;
+      sessionLogger(session).info('⏱️ Gap between tracks', { gapMs, prefetched });
+      session.trackEndedAt = null;
+    }
+  }));
+  
+  audioPlayer.on(AudioPlayerStatus.Paused, outsideLogContext(() => {
+    session.isPaused = true;
+    sessionLogger(session).info('⏸️ Music paused');
+  }));
   
-  audioPlayer.on(AudioPlayerStatus.Idle, () => {
-    console.log('🎵 Song finished');
-    isPlaying = false;
-    isPaused = false;
+  audioPlayer.on(AudioPlayerStatus.Idle, outsideLogContext((oldState) => {
+    session.isPlaying = false;
+    session.isPaused = false;
+    handleTrackEnd(session, oldState.resource?.metadata?.song);
+  }));
+  
+  // The player goes idle right after an error, and the failure is handled there
+  audioPlayer.on('error', outsideLogContext((error) => {
+    if (error.resource !== session.currentResource) return;
     
-    // Use setImmediate for better performance
-    setImmediate(() => {
-      if (currentQueue.length > 0) {
-        playNextSong();
-      } else {
-        console.log('📭 Queue is empty, starting idle timeout');
-        startIdleTimeout();
-      }
-    });
-  });
+    sessionLogger(session).error('🎵 Player error', { error: error.message });
+    session.trackError ??= error;
+  }));
+}
+
+// Move the track lifecycle on, telling control API clients
+function setTrackState(session, state) {
+  if (session.trackState === state) return;
+  
+  sessionLogger(session).debug(`🔀 Track state: ${session.trackState} -> ${state}`);
+  session.trackState = state;
+  session.trackStateChangedAt = Date.now();
+  sessionEvents.emit('event', { type: 'track', guildId: session.guildId, state, song: session.currentSong });
+}
+
+// The one place a track's end is handled: retry a failure, or record it and move on
+function handleTrackEnd(session, song) {
+  const error = session.trackError;
+  session.trackError = null;
+  session.trackEndedAt = Date.now();
   
-  audioPlayer.on('error', (error) => {
-    console.error('🎵 Player error:', error.message);
-    isPlaying = false;
-    isPaused = false;
+  // A skip or stop wins over whatever error the stream hit on the way out
+  if (error && song && song === session.currentSong && !session.trackSkipped) {
+    const failure = classifyTrackError(error);
+    if (failure.retryable && session.trackRetries < TRACK_RETRY_LIMIT) {
+      retryTrack(session, song, failure);
+      return;
+    }
     
-    setImmediate(() => {
-      if (currentQueue.length > 0) {
-        playNextSong();
-      } else {
-        startIdleTimeout();
-      }
-    });
+    if (failTrack(session, song, failure)) return;
+  } else if (!error) {
+    session.consecutiveFailures = 0;
+  }
+  
+  const outcome = session.trackFailed ? 'failed' : session.trackSkipped ? 'skipped' : 'finished';
+  sessionLogger(session).info('🎵 Track ended', { outcome });
+  recordHistory(session, song, outcome);
+  requeueFinishedSong(session);
+  
+  // A stop or an enqueue in the meantime has already moved the lifecycle on
+  setTrackState(session, 'advancing');
+  setImmediate(outsideLogContext(() => {
+    if (session.trackState === 'advancing') playNextSong(session);
+  }));
+}
+
+// How the lifecycle reacts to each kind of playback failure
+// Only unplayable failures are about the video itself, the rest shouldn't block it later
+const TRACK_FAILURES = {
+  'age-restricted': { retryable: false, unplayable: true, reason: 'it is age-restricted' },
+  unavailable: { retryable: false, unplayable: true, reason: 'it is unavailable' },
+  unloadable: { retryable: false, reason: 'it could not be loaded' },
+  ffmpeg: { retryable: false, reason: 'FFmpeg could not process it' },
+  forbidden: { retryable: true, reason: 'YouTube kept refusing the stream' },
+  transient: { retryable: true, reason: 'the stream kept failing' }
+};
+
+function classifyTrackError(error) {
+  const message = error.message || '';
+  let kind = 'transient';
+  
+  if (error.kind) {
+    kind = error.kind;
+  } else if (/confirm your age|age.restricted|inappropriate for some users/i.test(message)) {
+    kind = 'age-restricted';
+  } else if (error.constructor?.name === 'UnrecoverableError' || 
+      [404, 410].includes(error.statusCode) || /unavailable|private video|video is private|has been removed/i.test(message)) {
+    kind = 'unavailable';
+  } else if (error.statusCode === 403 || /status code: 403/i.test(message)) {
+    kind = 'forbidden';
+  }
+  
+  return { kind, ...TRACK_FAILURES[kind] };
+}
+
+// Replay a failed song from where it broke off, backing off between attempts
+function retryTrack(session, song, failure) {
+  session.trackRetries++;
+  const delay = TRACK_RETRY_BASE_DELAY_MS * 2 ** (session.trackRetries - 1);
+  const position = getPlaybackPosition(session);
+  
+  // Expired format URLs are the usual 403, so fetch fresh ones
+  if (failure.kind === 'forbidden') {
+    forgetVideoFormats(song);
+  }
+  
+  sessionLogger(session).warn(`🔁 Retrying ${song.title} in ${delay}ms`, { 
+    attempt: session.trackRetries, 
+    failure: failure.kind, 
+    position 
   });
+  setTrackState(session, 'retrying');
+  
+  session.retryTimer = setTimeout(outsideLogContext(() => {
+    session.retryTimer = null;
+    if (session.currentSong === song) {
+      playSong(session, song, position);
+    }
+  }), delay);
+}
+
+function cancelTrackRetry(session) {
+  if (!session.retryTimer) return;
+  
+  clearTimeout(session.retryTimer);
+  session.retryTimer = null;
+  setTrackState(session, 'idle');
+}
+
+// Give up on a song, returning true when too many failures in a row stopped the session
+function failTrack(session, song, failure) {
+  // Never loop a track that failed to play
+  session.trackSkipped = true;
+  session.trackFailed = true;
+  session.consecutiveFailures++;
+  
+  if (failure.unplayable) {
+    markUnplayable(song, failure.kind);
+  }
+  
+  const requester = song.requestedBy ? ` (requested by <@${song.requestedBy}>)` : '';
+  notifyTrackFailure(session, song, `⚠️ Skipped **${song.title}**${requester} because ${failure.reason}.`);
+  
+  if (session.consecutiveFailures < MAX_CONSECUTIVE_FAILURES) return false;
+  
+  sessionLogger(session).error(`🛑 Stopping after ${session.consecutiveFailures} failed songs in a row`);
+  notifyTrackFailure(session, song, 
+    `🛑 Stopped playback after ${session.consecutiveFailures} songs in a row failed to play. Try again in a bit.`);
+  recordHistory(session, song, 'failed');
+  session.consecutiveFailures = 0;
+  stopPlayback(session);
+  return true;
+}
+
+// Post a playback problem where the song was requested
+async function notifyTrackFailure(session, song, message) {
+  const channelId = song.textChannelId || session.textChannelId;
+  const channel = channelId && await getCachedChannel(channelId);
+  if (!channel?.isTextBased()) return;
+  
+  await channel.send({ content: message, allowedMentions: { parse: [] } })
+    .catch(error => sessionLogger(session).warn('Error posting playback notice', { error: error.message }));
+}
+
+function markUnplayable(song, kind) {
+  const videoId = extractVideoId(song.url || '');
+  if (videoId) cache.unplayable.set(videoId, kind);
+}
+
+function getUnplayableKind(song) {
+  const videoId = extractVideoId(song.url || '');
+  return videoId ? cache.unplayable.get(videoId) : undefined;
+}
+
+// Drop ytdl's cached info for a video so the next stream gets fresh format URLs
+function forgetVideoFormats(song) {
+  const videoId = extractVideoId(song.url || '');
+  if (!videoId) return;
+  
+  for (const ytdlCache of [ytdl.cache.info, ytdl.cache.watch]) {
+    for (const key of ytdlCache.keys()) {
+      if (key.includes(videoId)) ytdlCache.delete(key);
+    }
+  }
+}
+
+// Put the finished song back into the queue according to the loop mode
+function requeueFinishedSong(session) {
+  const finishedSong = session.currentSong;
+  const skipped = session.trackSkipped;
+  const failed = session.trackFailed;
+  session.trackSkipped = false;
+  session.trackFailed = false;
+  
+  if (!finishedSong || failed) return;
+  
+  if (session.loopMode === 'track' && !skipped) {
+    session.queue.unshift(finishedSong);
+  } else if (session.loopMode === 'queue') {
+    session.queue.push(finishedSong);
+  } else {
+    return;
+  }
+  emitQueueUpdate(session);
+}
+
+// Add an ended track to the guild's history ring buffer
+function recordHistory(session, song, outcome) {
+  if (!song) return;
+  metrics.tracksPlayed[outcome] = (metrics.tracksPlayed[outcome] || 0) + 1;
+  
+  const history = playbackHistory[session.guildId] || [];
+  history.unshift({ song, playedAt: session.songStartedAt || Date.now(), outcome });
+  playbackHistory[session.guildId] = history.slice(0, HISTORY_SIZE);
+  writeDataFile('history.json', playbackHistory);
 }
 
 // Cached YouTube search with better error handling
 async function searchYouTube(query) {
+  const [result] = await searchYouTubeResults(query, 1);
+  return result || null;
+}
+
+// Cache key for a search, so identical queries share results
+function getSearchCacheKey(query, limit) {
+  return `${limit}:${query.trim().toLowerCase()}`;
+}
+
+// Top YouTube search results as songs, empty on failure
+async function searchYouTubeResults(query, limit) {
+  const cacheKey = getSearchCacheKey(query, limit);
+  const cachedResults = cache.searches.get(cacheKey);
+  if (cachedResults) {
+    return cachedResults;
+  }
+  
+  const startedAt = process.hrtime.bigint();
   try {
     const results = await YouTube.search(query, { 
-      limit: 1, 
+      limit, 
       type: 'video',
       requestOptions: {
         timeout: 10000 // 10 second timeout
       }
     });
     
-    if (results?.[0]) {
-      const video = results[0];
-      return {
-        title: video.title,
-        url: video.url,
-        duration: video.durationFormatted || 'N/A',
-        thumbnail: video.thumbnail?.url || null
-      };
+    const songs = (results || []).map(video => ({
+      title: video.title,
+      url: video.url,
+      channel: video.channel?.name || null,
+      duration: video.durationFormatted || 'N/A',
+      durationSeconds: video.duration ? Math.floor(video.duration / 1000) : null,
+      thumbnail: video.thumbnail?.url || null,
+      source: 'youtube'
+    }));
+    
+    if (songs.length > 0) {
+      cache.searches.set(cacheKey, songs);
     }
-    return null;
+    return songs;
   } catch (error) {
-    console.error('YouTube search error:', error.message);
-    return null;
+    metrics.searches.errors++;
+    logger.error('YouTube search error', { query, error: error.message });
+    return [];
+  } finally {
+    // Failed searches count too, they are usually the slow ones
+    metrics.searches.count++;
+    metrics.searches.seconds += Number(process.hrtime.bigint() - startedAt) / 1e9;
   }
 }
 
-// Optimized song playing with better error handling
-async function playNextSong() {
-  if (currentQueue.length === 0) {
-    currentSong = null;
-    console.log('📭 Queue is empty');
-    startIdleTimeout();
-    return;
+// Track providers turn queries into songs and songs into audio streams.
+// A provider is { name, canHandle(query), resolve(query), createStream(song, { seek, filters }) }:
+// resolve returns { songs, playlistType } or { error }, createStream returns { stream, type }.
+const trackProviders = [];
+
+// Providers are tried in registration order, so register catch-alls last
+function registerTrackProvider(provider) {
+  trackProviders.push(provider);
+}
+
+function getTrackProvider(song) {
+  return trackProviders.find(provider => provider.name === (song.source || 'youtube'));
+}
+
+// Resolve a song query into a list of songs through the first provider that handles it
+async function resolveSongs(query) {
+  const provider = trackProviders.find(candidate => candidate.canHandle(query));
+  if (!provider) {
+    return { error: '❌ No source can play that.' };
+  }
+
+  const result = await provider.resolve(query);
+  if (result.error) return result;
+
+  return { ...result, songs: result.songs.map(song => ({ ...song, source: provider.name })) };
+}
+
+// YouTube videos, playlists and searches for everything else
+const youtubeProvider = {
+  name: 'youtube',
+
+  canHandle: () => true,
+
+  async resolve(query) {
+    // Check if it's a YouTube URL
+    if (/(?:youtube\.com\/|youtu\.be\/)/.test(query)) {
+      
+      // Check if it's a playlist
+      const playlistInfo = isYouTubePlaylist(query);
+      if (playlistInfo.isPlaylist) {
+        // Process playlist
+        logger.info('🎵 Detected YouTube playlist', { url: query });
+        const playlistVideos = await getPlaylistVideos(query);
+        
+        if (!playlistVideos || playlistVideos.length === 0) {
+          return { error: '❌ Failed to load playlist or playlist is empty.' };
+        }
+        
+        const playlistType = playlistInfo.isMix ? "Mix" : 
+                            playlistInfo.isWatchLater ? "Watch Later" : 
+                            playlistInfo.isLikes ? "Liked Videos" : "Playlist";
+        
+        return { songs: playlistVideos, playlistType };
+      } 
+      
+      // Single video URL, cached by video ID so every link form shares an entry
+      const cacheKey = extractVideoId(query) || query;
+      const unplayableKind = cache.unplayable.get(cacheKey);
+      if (unplayableKind) {
+        return { error: `❌ That video can't be played because ${TRACK_FAILURES[unplayableKind].reason}.` };
+      }
+      
+      let songInfo = cache.videoInfo.get(cacheKey);
+      if (!songInfo) {
+        const info = await ytdl.getInfo(query);
+        songInfo = {
+          title: info.videoDetails.title,
+          url: info.videoDetails.video_url || query,
+          duration: formatDuration(Number(info.videoDetails.lengthSeconds) || null),
+          durationSeconds: Number(info.videoDetails.lengthSeconds) || null,
+          thumbnail: info.videoDetails.thumbnails?.[0]?.url
+        };
+        cache.videoInfo.set(cacheKey, songInfo);
+      }
+      
+      return { songs: [songInfo] };
+    }
+    
+    // Search by name
+    const songInfo = await searchYouTube(query);
+    if (!songInfo) {
+      return { error: '❌ No results found for your search.' };
+    }
+    
+    return { songs: [songInfo] };
+  },
+
+  createStream(song, { seek = 0, filters = [] } = {}) {
+    const stream = ytdl(song.url, YTDL_OPTIONS);
+
+    if (seek > 0 || filters.length > 0) {
+      return { stream: createFFmpegStream(stream, { seek, filters }), type: StreamType.Raw };
+    }
+
+    return { stream, type: StreamType.Arbitrary };
   }
+};
+
+// Local library index, keyed by path relative to MUSIC_DIR
+const library = readDataFile('library.json', {});
+let libraryScan = null;
+
+// Recursively list the audio files under a directory
+async function findAudioFiles(directory) {
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  const files = [];
   
-  const song = currentQueue.shift();
-  currentSong = song;
+  for (const entry of entries) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await findAudioFiles(fullPath));
+    } else if (LIBRARY_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
   
-  console.log(`🎵 Attempting to play: ${song.title}`);
+  return files;
+}
+
+// Index MUSIC_DIR by tag metadata, only re-reading files that changed
+function scanLibrary() {
+  if (!MUSIC_DIR) return Promise.resolve(0);
   
-  try {
-    const stream = ytdl(song.url, YTDL_OPTIONS);
+  // Share a scan that is already running
+  libraryScan = libraryScan || (async () => {
+    logger.info(`📁 Scanning music library: ${MUSIC_DIR}`);
+    const files = await findAudioFiles(MUSIC_DIR);
+    const seen = new Set();
     
-    // Better error handling for streams
-    stream.on('error', (error) => {
-      console.error('❌ Stream error:', error.message);
-      console.log('⏭️ Skipping to next song...');
-      setImmediate(() => playNextSong());
-    });
+    for (const file of files) {
+      const relativePath = path.relative(MUSIC_DIR, file);
+      seen.add(relativePath);
+      
+      try {
+        const { mtimeMs } = await fs.promises.stat(file);
+        if (library[relativePath]?.mtimeMs === mtimeMs) continue;
+        
+        const { common, format } = await musicMetadata.parseFile(file);
+        library[relativePath] = {
+          mtimeMs,
+          title: common.title || path.basename(file, path.extname(file)),
+          artist: common.artist || null,
+          album: common.album || null,
+          trackNumber: common.track?.no || null,
+          durationSeconds: format.duration ? Math.round(format.duration) : null
+        };
+      } catch (error) {
+        logger.warn(`❌ Error reading tags from ${relativePath}`, { error: error.message });
+      }
+    }
     
-    const resource = createAudioResource(stream, {
-      metadata: { title: song.title },
-      inlineVolume: true
+    // Drop files that were deleted or moved
+    Object.keys(library).forEach(relativePath => {
+      if (!seen.has(relativePath)) delete library[relativePath];
     });
     
-    audioPlayer.play(resource);
+    writeDataFile('library.json', library);
+    logger.info(`✅ Music library indexed: ${Object.keys(library).length} tracks`);
+    return Object.keys(library).length;
+  })().finally(() => {
+    libraryScan = null;
+  });
+  
+  return libraryScan;
+}
+
+// Find library tracks whose tags contain every word of the query
+function searchLibrary(query, field = null) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  
+  return Object.entries(library)
+    .filter(([, entry]) => {
+      const haystack = (field 
+        ? entry[field] || '' 
+        : `${entry.title} ${entry.artist || ''} ${entry.album || ''}`).toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    })
+    .sort(([, a], [, b]) => 
+      (a.artist || '').localeCompare(b.artist || '') ||
+      (a.album || '').localeCompare(b.album || '') ||
+      (a.trackNumber || 0) - (b.trackNumber || 0))
+    .map(([relativePath, entry]) => createLibrarySong(relativePath, entry));
+}
+
+function createLibrarySong(relativePath, entry) {
+  return {
+    title: entry.artist ? `${entry.artist} - ${entry.title}` : entry.title,
+    url: `library:${relativePath}`,
+    path: relativePath,
+    artist: entry.artist,
+    album: entry.album,
+    duration: formatDuration(entry.durationSeconds),
+    durationSeconds: entry.durationSeconds,
+    thumbnail: null,
+    source: 'library'
+  };
+}
+
+// Files from the local library, queried as library:<path or search>
+const libraryProvider = {
+  name: 'library',
+
+  canHandle: query => query.startsWith('library:'),
+
+  async resolve(query) {
+    const search = query.slice('library:'.length).trim();
+    
+    if (library[search]) {
+      return { songs: [createLibrarySong(search, library[search])] };
+    }
+    
+    const [song] = searchLibrary(search);
+    return song ? { songs: [song] } : { error: '❌ No library tracks match your search.' };
+  },
+
+  createStream(song, { seek = 0, filters = [] } = {}) {
+    if (!MUSIC_DIR) {
+      throw new Error('MUSIC_DIR is not configured');
+    }
     
-    if (voiceConnection) {
-      voiceConnection.subscribe(audioPlayer);
+    // Only ever read from inside the music folder
+    const filePath = path.resolve(MUSIC_DIR, song.path);
+    if (!filePath.startsWith(MUSIC_DIR + path.sep)) {
+      throw new Error(`Library path outside MUSIC_DIR: ${song.path}`);
     }
     
-  } catch (error) {
-    console.error('❌ Error playing song:', error.message);
-    setImmediate(() => playNextSong());
+    return { stream: createFFmpegStream(filePath, { seek, filters }), type: StreamType.Raw };
+  }
+};
+
+registerTrackProvider(libraryProvider);
+registerTrackProvider(youtubeProvider);
+
+// Optimized song playing with better error handling
+async function playNextSong(session) {
+  const finishedSong = session.currentSong;
+  setTrackState(session, 'advancing');
+  
+  if (session.queue.length === 0 && session.autoplay && finishedSong) {
+    const relatedSong = await findAutoplaySong(session, finishedSong);
+    
+    // Stopped or disconnected while we were looking
+    if (session.trackState !== 'advancing' || session.currentSong !== finishedSong) return;
+    
+    if (relatedSong) {
+      sessionLogger(session).info(`🤖 Autoplaying related song: ${relatedSong.title}`);
+      session.queue.push(relatedSong);
+    }
   }
+  
+  if (session.queue.length === 0) {
+    session.currentSong = null;
+    session.trackEndedAt = null;
+    session.trackRetries = 0;
+    setTrackState(session, 'idle');
+    discardPrefetch(session);
+    sessionLogger(session).info('📭 Queue is empty, starting idle timeout');
+    persistSession(session);
+    emitQueueUpdate(session);
+    updateNowPlayingPanel(session);
+    startIdleTimeout(session);
+    return;
+  }
+  
+  const song = session.queue.shift();
+  session.currentSong = song;
+  session.currentResource = null;
+  session.seekOffset = 0;
+  session.pauseOnPlay = false;
+  session.skipVotes.clear();
+  session.songStartedAt = Date.now();
+  session.trackRetries = 0;
+  rememberPlayedVideo(session, song);
+  
+  if (session.prefetch && session.prefetch.song !== song) {
+    discardPrefetch(session);
+  }
+  emitQueueUpdate(session);
+  
+  sessionLogger(session).debug(`🎵 Attempting to play: ${song.title}`);
+  playSong(session, song);
 }
 
-// Optimized command registration
-async function registerCommands() {
-  const rest = new REST({ version: '10' }).setToken(TOKEN);
+// The song that will play after the current one, if it is already known
+function getUpcomingSong(session) {
+  if (session.loopMode === 'track') return session.currentSong;
+  if (session.queue.length > 0) return session.queue[0];
+  return session.loopMode === 'queue' ? session.currentSong : null;
+}
+
+// Start streaming the upcoming song shortly before the current one ends
+function schedulePrefetch(session) {
+  clearTimeout(session.prefetchTimer);
+  const song = session.currentSong;
+  const remaining = song?.durationSeconds
+    ? (song.durationSeconds - getPlaybackPosition(session)) / session.playbackTempo
+    : 0;
+  
+  session.prefetchTimer = setTimeout(outsideLogContext(() => prefetchUpcomingSong(session)), 
+    Math.max(0, remaining - PREFETCH_LEAD_SECONDS - CROSSFADE_SECONDS) * 1000);
+}
+
+// Open the upcoming song's stream so it buffers before it is needed
+function prefetchUpcomingSong(session) {
+  const song = getUpcomingSong(session);
+  if (!song || session.prefetch?.song === song) return;
   
   try {
-    console.log('🔄 Registering commands...');
+    const provider = getTrackProvider(song);
+    if (!provider) return;
     
-    await rest.put(
-      Routes.applicationCommands(client.user.id),
-      { body: commands }
-    );
-
-    console.log(`✅ Successfully registered ${commands.length} commands!`);
+    const filters = buildTrackFilters(session, song, 0);
+    const { stream, type } = bufferFadeIn(provider.createStream(song, { filters }));
+    const prefetch = { song, stream, type, filterKey: filters.join(',') };
     
+    prefetch.onError = outsideLogContext((error) => {
+      sessionLogger(session).warn('❌ Prefetch stream error', { trackUrl: song.url, error: error.message });
+      if (session.prefetch === prefetch) session.prefetch = null;
+    });
+    stream.on('error', prefetch.onError);
+    
+    session.prefetch = prefetch;
+    sessionLogger(session).debug(`⏩ Prefetching next song: ${song.title}`, { trackUrl: song.url });
   } catch (error) {
-    console.error('❌ Error registering commands:', error.message);
+    sessionLogger(session).error('❌ Error prefetching song', { trackUrl: song.url, error: error.message });
   }
 }
 
-// Bot ready event with optimizations
-client.once('ready', async () => {
-  console.log(`🤖 Bot is ready! Logged in as ${client.user.tag}`);
-  console.log(`📝 Bot ID: ${client.user.id}`);
+// Buffer all of a prefetched song's fade-in so mixing it never waits on the stream
+function bufferFadeIn({ stream, type }) {
+  if (CROSSFADE_SECONDS <= 0 || type !== StreamType.Raw) return { stream, type };
   
-  initializeAudioPlayer();
+  const buffered = new PassThrough({ highWaterMark: CROSSFADE_SECONDS * PCM_BYTES_PER_SECOND });
+  stream.on('error', (error) => buffered.destroy(error));
+  buffered.on('close', () => stream.destroy());
+  return { stream: stream.pipe(buffered), type };
+}
+
+// Use the prefetched stream if it was opened for exactly this playback
+function takePrefetch(session, song, seek, filters) {
+  const prefetch = session.prefetch;
+  if (!prefetch || prefetch.song !== song || seek !== 0) return null;
   
-  // Register commands and join VC in parallel
-  await Promise.all([
-    registerCommands(),
-    new Promise(resolve => setTimeout(resolve, 3000)).then(() => joinDefaultVC())
-  ]);
-});
+  session.prefetch = null;
+  if (prefetch.filterKey !== filters.join(',') || prefetch.stream.destroyed) {
+    prefetch.stream.destroy();
+    return null;
+  }
+  
+  prefetch.stream.off('error', prefetch.onError);
+  return prefetch;
+}
 
-// Optimized interaction handler
-client.on('interactionCreate', async interaction => {
-  if (!interaction.isChatInputCommand()) return;
+// Drop the prefetched stream and any pending prefetch
+function discardPrefetch(session) {
+  clearTimeout(session.prefetchTimer);
+  session.prefetchTimer = null;
+  if (!session.prefetch) return;
+  
+  session.prefetch.stream.destroy();
+  session.prefetch = null;
+}
 
-  const commandHandlers = {
-    play: handlePlay,
-    skip: handleSkip,
-    queue: handleQueue,
-    stop: handleStop,
-    nowplaying: handleNowPlaying,
-    pause: handlePause,
-    resume: handleResume,
-    leave: handleLeave
-  };
+// Re-prefetch after the queue changed what plays next
+function refreshPrefetch(session) {
+  if (session.prefetch && session.prefetch.song !== getUpcomingSong(session)) {
+    session.prefetch.stream.destroy();
+    session.prefetch = null;
+  }
+  
+  if (session.isPlaying || session.isPaused) {
+    schedulePrefetch(session);
+  }
+}
+
+// Track recently played videos so autoplay doesn't repeat them
+function rememberPlayedVideo(session, song) {
+  const videoId = extractVideoId(song.url || '');
+  if (!videoId) return;
+  
+  session.recentVideoIds = session.recentVideoIds.filter(id => id !== videoId);
+  session.recentVideoIds.push(videoId);
+  if (session.recentVideoIds.length > AUTOPLAY_HISTORY_SIZE) {
+    session.recentVideoIds.shift();
+  }
+}
+
+// Pick a related video to the finished song that hasn't played recently
+async function findAutoplaySong(session, finishedSong) {
+  if ((finishedSong.source || 'youtube') !== 'youtube') return null;
+  
+  try {
+    const info = await ytdl.getInfo(finishedSong.url);
+    const video = info.related_videos.find(related => 
+      related.id && related.length_seconds && !session.recentVideoIds.includes(related.id));
+    
+    if (!video) {
+      sessionLogger(session).info('🤖 No unplayed related songs found for autoplay');
+      return null;
+    }
+    
+    return {
+      title: video.title || 'Unknown Title',
+      url: `https://www.youtube.com/watch?v=${video.id}`,
+      duration: formatDuration(Number(video.length_seconds) || null),
+      durationSeconds: Number(video.length_seconds) || null,
+      thumbnail: video.thumbnails?.[0]?.url || null,
+      source: 'youtube',
+      requestedBy: null,
+      autoplay: true
+    };
+  } catch (error) {
+    sessionLogger(session).error('❌ Error finding autoplay song', { error: error.message });
+    return null;
+  }
+}
+
+// Title with the autoplay label for songs the bot picked itself
+function formatSongTitle(song) {
+  return song.autoplay ? `${song.title} *(${AUTOPLAY_LABEL})*` : song.title;
+}
+
+// Who queued a song, for queue and history listings
+function formatRequester(song) {
+  if (song.requestedBy) return `<@${song.requestedBy}>`;
+  return song.autoplay ? AUTOPLAY_LABEL : 'Unknown';
+}
+
+// Fade the song in and out when a crossfade is configured, ahead of the active filters
+function buildTrackFilters(session, song, seek) {
+  const fades = [];
+  if (CROSSFADE_SECONDS > 0) {
+    if (seek === 0) {
+      fades.push(`afade=t=in:d=${CROSSFADE_SECONDS}`);
+    }
+    if (song.durationSeconds > seek + CROSSFADE_SECONDS) {
+      fades.push(`afade=t=out:st=${song.durationSeconds - seek - CROSSFADE_SECONDS}:d=${CROSSFADE_SECONDS}`);
+    }
+  }
+  return [...fades, ...buildFilterChain(session.filters)];
+}
+
+// Build the FFmpeg filter chain for the session's active filters
+function buildFilterChain(filters) {
+  const chain = Object.entries(filters)
+    .flatMap(([name, value]) => AUDIO_FILTERS[name].build(value));
+  
+  // Rate based presets assume a 48kHz input
+  return chain.length > 0 ? ['aresample=48000', ...chain] : [];
+}
+
+// Combined playback speed of the active filters
+function getFilterTempo(filters) {
+  return Object.entries(filters)
+    .reduce((tempo, [name, value]) => tempo * (AUDIO_FILTERS[name].tempo?.(value) ?? 1), 1);
+}
+
+function getFilterLabels(filters) {
+  return Object.entries(filters).map(([name, value]) => {
+    const { label } = AUDIO_FILTERS[name];
+    return typeof label === 'function' ? label(value) : label;
+  });
+}
+
+// Pipe a stream or a file path through FFmpeg, decoding to raw PCM from the given offset
+function createFFmpegStream(input, { seek = 0, filters = [] } = {}) {
+  const fromFile = typeof input === 'string';
+  const ffmpeg = spawn(ffmpegPath, [
+    '-hide_banner', '-loglevel', 'error',
+    '-ss', String(seek),
+    '-i', fromFile ? input : 'pipe:0',
+    ...(filters.length > 0 ? ['-af', filters.join(',')] : []),
+    '-f', 's16le', '-ar', '48000', '-ac', '2',
+    'pipe:1'
+  ], { stdio: [fromFile ? 'ignore' : 'pipe', 'pipe', 'ignore'] });
+  
+  // Only end the output on a clean exit, so a file FFmpeg can't read fails instead of finishing
+  const output = new PassThrough();
+  ffmpeg.stdout.pipe(output, { end: false });
+  
+  // A spawn error means FFmpeg itself is missing, which says nothing about the song
+  ffmpeg.on('error', (error) => output.destroy(Object.assign(error, { kind: 'ffmpeg' })));
+  ffmpeg.on('close', (code, signal) => {
+    if (code === 0) {
+      output.end();
+    } else {
+      output.destroy(Object.assign(new Error(`FFmpeg exited with ${code ?? signal}`), { kind: 'ffmpeg' }));
+    }
+  });
+  
+  if (!fromFile) {
+    // FFmpeg closes stdin early when the output is destroyed
+    ffmpeg.stdin.on('error', () => {});
+    input.on('error', (error) => output.destroy(error));
+    input.pipe(ffmpeg.stdin);
+  }
+  
+  output.on('close', () => {
+    if (!fromFile) input.destroy();
+    ffmpeg.kill();
+  });
+  
+  return output;
+}
+
+// Overlap the song's fade-out with the upcoming song's fade-in, both being raw FFmpeg output
+function createCrossfadeStream(session, song, input, type, position) {
+  if (CROSSFADE_SECONDS <= 0 || type !== StreamType.Raw || !song.durationSeconds) return input;
+  
+  const fadeStart = (song.durationSeconds - position - CROSSFADE_SECONDS) / getFilterTempo(session.filters);
+  const fadeStartByte = Math.max(0, Math.floor(fadeStart * PCM_BYTES_PER_SECOND / 4) * 4);
+  let bytesRead = 0;
+  let carry = Buffer.alloc(0);
+  
+  const output = new Transform({
+    transform(chunk, encoding, callback) {
+      // Only mix whole stereo frames, holding back a split one for the next chunk
+      const data = carry.length > 0 ? Buffer.concat([carry, chunk]) : chunk;
+      const end = data.length - data.length % 4;
+      const frames = data.subarray(0, end);
+      carry = data.subarray(end);
+      
+      const start = bytesRead;
+      bytesRead += frames.length;
+      if (bytesRead > fadeStartByte) {
+        mixUpcomingSong(session, frames, Math.max(0, fadeStartByte - start));
+      }
+      callback(null, frames);
+    }
+  });
+  
+  input.on('error', (error) => output.destroy(error));
+  output.on('close', () => input.destroy());
+  return input.pipe(output);
+}
+
+// Add whatever the prefetched stream has buffered onto the frames from offset on
+function mixUpcomingSong(session, frames, offset) {
+  const prefetch = session.prefetch;
+  if (!prefetch || prefetch.type !== StreamType.Raw || prefetch.stream.destroyed || 
+      prefetch.song !== getUpcomingSong(session)) return;
+  
+  const length = Math.min(frames.length - offset, prefetch.stream.readableLength) & ~3;
+  if (length <= 0) return;
+  
+  const upcoming = prefetch.stream.read(length);
+  for (let i = 0; i < length; i += 2) {
+    const sample = frames.readInt16LE(offset + i) + upcoming.readInt16LE(i);
+    frames.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), offset + i);
+  }
+  prefetch.mixedBytes = (prefetch.mixedBytes || 0) + length;
+}
+
+// Start streaming a song, optionally from an offset in seconds
+function playSong(session, song, seek = 0) {
+  setTrackState(session, 'loading');
+  session.trackError = null;
+  
+  try {
+    let resource = null;
+    const provider = getTrackProvider(song);
+    if (!provider) {
+      throw Object.assign(new Error(`No provider for source ${song.source}`), { kind: 'unavailable' });
+    }
+    
+    const unplayableKind = getUnplayableKind(song);
+    if (unplayableKind) {
+      throw Object.assign(new Error(`Video was already found to be ${unplayableKind}`), { kind: unplayableKind });
+    }
+    
+    const filters = buildTrackFilters(session, song, seek);
+    const prefetch = takePrefetch(session, song, seek, filters);
+    const { stream: source, type } = prefetch || provider.createStream(song, { seek, filters });
+    
+    // The start of a prefetched song may already have played, mixed into the previous one
+    const mixedSeconds = prefetch?.mixedBytes 
+      ? prefetch.mixedBytes / PCM_BYTES_PER_SECOND * getFilterTempo(session.filters) 
+      : 0;
+    const stream = createCrossfadeStream(session, song, source, type, seek + mixedSeconds);
+    
+    // Better error handling for streams
+    stream.on('error', outsideLogContext((error) => {
+      // Ignore errors from a stream that a seek already replaced, or that a skip or stop tore down
+      if (resource && (session.currentResource !== resource || !resource.audioPlayer)) return;
+      if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+      
+      // The player errors and goes idle too, where this is handled
+      metrics.streamErrors++;
+      sessionLogger(session).error('❌ Stream error', { error: error.message });
+      session.trackError ??= error;
+    }));
+    
+    resource = createAudioResource(stream, {
+      inputType: type,
+      metadata: { title: song.title, song, prefetched: Boolean(prefetch) },
+      inlineVolume: true
+    });
+    resource.volume.setVolume(session.volume / 100);
+    session.currentResource = resource;
+    session.seekOffset = seek + mixedSeconds;
+    session.playbackTempo = getFilterTempo(session.filters);
+    persistSession(session);
+    
+    // The first play starts the voice library's audio timer, which every guild's player then shares
+    logContext.exit(() => session.audioPlayer.play(resource));
+    
+    if (session.voiceConnection) {
+      session.voiceConnection.subscribe(session.audioPlayer);
+    }
+    
+    schedulePrefetch(session);
+  } catch (error) {
+    sessionLogger(session).error('❌ Error playing song', { trackUrl: song.url, error: error.message });
+    // Failing before any stream opened is a setup problem that retrying won't fix
+    session.trackError = Object.assign(error, { kind: error.kind || 'unloadable' });
+    
+    // A failed seek leaves the old resource playing, stopping it ends the track as usual
+    if (session.audioPlayer.state.status === AudioPlayerStatus.Idle) {
+      setImmediate(outsideLogContext(() => handleTrackEnd(session, song)));
+    } else {
+      session.audioPlayer.stop(true);
+    }
+  }
+}
+
+// Seconds played of the current song, including any seek offset
+function getPlaybackPosition(session) {
+  if (!session.currentResource) return 0;
+  return session.seekOffset + Math.floor(session.currentResource.playbackDuration / 1000 * session.playbackTempo);
+}
+
+// Restart the current song at the given position
+function seekTo(session, seconds) {
+  const position = Math.max(0, Math.floor(seconds));
+  sessionLogger(session).info(`⏩ Seeking to ${formatDuration(position)} in: ${session.currentSong.title}`);
+  session.pauseOnPlay = session.isPaused;
+  playSong(session, session.currentSong, position);
+  return position;
+}
+
+// Unpause, or let a paused song that is still restarting after a seek play on
+function resumePlayback(session) {
+  session.pauseOnPlay = false;
+  session.audioPlayer.unpause();
+  clearIdleTimeout(session);
+}
+
+// Text progress bar for the now playing embed
+function createProgressBar(elapsed, total) {
+  const progress = Math.min(elapsed / total, 1);
+  const position = Math.round(progress * PROGRESS_BAR_LENGTH);
+  return `${'▬'.repeat(position)}🔘${'▬'.repeat(PROGRESS_BAR_LENGTH - position)}`;
+}
+
+// Skip the current song, returning it
+function skipSong(session) {
+  const skippedSong = session.currentSong;
+  
+  // A song waiting on a retry has no track to stop, so end it here
+  if (session.retryTimer) {
+    clearTimeout(session.retryTimer);
+    session.retryTimer = null;
+    session.trackSkipped = true;
+    handleTrackEnd(session, skippedSong);
+  } else {
+    stopCurrentTrack(session);
+  }
+  return skippedSong;
+}
+
+// Stop playback and clear the queue
+function stopPlayback(session) {
+  cancelTrackRetry(session);
+  stopCurrentTrack(session);
+  discardPrefetch(session);
+  session.queue.length = 0;
+  session.currentSong = null;
+  session.isPlaying = false;
+  session.isPaused = false;
+  setTrackState(session, 'idle');
+  persistSession(session);
+  emitQueueUpdate(session);
+  updateNowPlayingPanel(session);
+  
+  startIdleTimeout(session);
+}
+
+// End the loaded track as skipped; an idle player has nothing to stop and won't report it
+function stopCurrentTrack(session) {
+  // Whatever the stream hit before a deliberate stop is no longer the track's outcome
+  session.trackError = null;
+  if (session.audioPlayer.state.status === AudioPlayerStatus.Idle) return;
+  
+  session.trackSkipped = true;
+  session.audioPlayer.stop(true);
+}
+
+// Fisher-Yates shuffle of the queue in place
+function shuffleQueue(session) {
+  for (let i = session.queue.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [session.queue[i], session.queue[j]] = [session.queue[j], session.queue[i]];
+  }
+  persistSession(session);
+  refreshPrefetch(session);
+  emitQueueUpdate(session);
+}
+
+// Take the song at a 1-based queue position out of the queue
+function removeFromQueue(session, position) {
+  const [removedSong] = session.queue.splice(position - 1, 1);
+  persistSession(session);
+  refreshPrefetch(session);
+  emitQueueUpdate(session);
+  return removedSong;
+}
+
+// Move a song between 1-based queue positions
+function moveInQueue(session, from, to) {
+  const [movedSong] = session.queue.splice(from - 1, 1);
+  session.queue.splice(to - 1, 0, movedSong);
+  persistSession(session);
+  refreshPrefetch(session);
+  emitQueueUpdate(session);
+  return movedSong;
+}
+
+// Empty the queue without stopping the current song, returning how many were removed
+function clearQueue(session) {
+  const clearedCount = session.queue.length;
+  session.queue.length = 0;
+  persistSession(session);
+  refreshPrefetch(session);
+  emitQueueUpdate(session);
+  return clearedCount;
+}
+
+// Tell control API clients the queue changed
+function emitQueueUpdate(session) {
+  sessionEvents.emit('event', { 
+    type: 'queue', 
+    guildId: session.guildId, 
+    currentSong: session.currentSong, 
+    queue: session.queue 
+  });
+}
+
+// Change the live volume and remember it for the guild
+function setSessionVolume(session, level) {
+  session.volume = level;
+  session.currentResource?.volume?.setVolume(level / 100);
+  updateGuildSettings(session.guildId, { volume: level });
+}
+
+function getStatusLabel(session) {
+  if (session.isPaused) return '⏸️ Paused';
+  return session.isPlaying ? '▶️ Playing' : '⏳ Loading';
+}
+
+function createNowPlayingEmbed(session) {
+  const elapsed = getPlaybackPosition(session);
+  const total = session.currentSong.durationSeconds;
+  const progress = total 
+    ? `${createProgressBar(elapsed, total)}\n${formatDuration(elapsed)} / ${formatDuration(total)}` 
+    : formatDuration(elapsed);
+
+  const embed = new EmbedBuilder()
+    .setColor('#00ff00')
+    .setTitle('🎵 Now Playing')
+    .setDescription(`**${session.currentSong.title}**${session.currentSong.autoplay ? `\n${AUTOPLAY_LABEL}` : ''}\n\n${progress}`)
+    .addFields(
+      { name: 'Status', value: getStatusLabel(session), inline: true },
+      { name: 'Songs in Queue', value: `${session.queue.length}`, inline: true },
+      { name: 'Loop', value: LOOP_MODE_LABELS[session.loopMode], inline: true },
+      { name: 'Volume', value: `${session.volume}%`, inline: true },
+      { name: 'Filters', value: getFilterLabels(session.filters).join(', ') || 'None', inline: true },
+      { name: 'Autoplay', value: session.autoplay ? 'On' : 'Off', inline: true }
+    );
+
+  if (session.currentSong.thumbnail) {
+    embed.setThumbnail(session.currentSong.thumbnail);
+  }
+
+  return embed;
+}
+
+// Buttons for the now playing panel
+function createPlayerControls(session, disabled = false) {
+  const button = (action, emoji, label, style = ButtonStyle.Secondary) => new ButtonBuilder()
+    .setCustomId(`player:${action}`)
+    .setEmoji(emoji)
+    .setLabel(label)
+    .setStyle(style)
+    .setDisabled(disabled);
+
+  return [
+    new ActionRowBuilder().addComponents(
+      session.isPaused 
+        ? button('pause', '▶️', 'Resume', ButtonStyle.Success) 
+        : button('pause', '⏸️', 'Pause', ButtonStyle.Primary),
+      button('skip', '⏭️', 'Skip'),
+      button('stop', '⏹️', 'Stop', ButtonStyle.Danger)
+    ),
+    new ActionRowBuilder().addComponents(
+      button('loop', '🔁', `Loop: ${session.loopMode}`),
+      button('shuffle', '🔀', 'Shuffle'),
+      button('voldown', '🔉', `-${VOLUME_STEP}%`),
+      button('volup', '🔊', `+${VOLUME_STEP}%`)
+    )
+  ];
+}
+
+// Post, edit or retire the session's now playing panel, one update at a time
+function updateNowPlayingPanel(session) {
+  session.panelUpdate = session.panelUpdate
+    .then(() => renderNowPlayingPanel(session))
+    .catch(error => sessionLogger(session).error('❌ Error updating now playing panel', { error: error.message }));
+  return session.panelUpdate;
+}
+
+async function renderNowPlayingPanel(session) {
+  const panel = session.nowPlayingPanel;
+  
+  // Playback ended, leave the last panel behind with its buttons disabled
+  if (!session.currentSong) {
+    if (panel) {
+      session.nowPlayingPanel = null;
+      const embed = new EmbedBuilder()
+        .setColor('#808080')
+        .setTitle('⏹️ Nothing Playing')
+        .setDescription(`Last played: **${panel.song.title}**`);
+      await panel.message.edit({ embeds: [embed], components: createPlayerControls(session, true) });
+    }
+    return;
+  }
+  
+  const content = { embeds: [createNowPlayingEmbed(session)], components: createPlayerControls(session) };
+  
+  if (panel && panel.song === session.currentSong) {
+    await panel.message.edit(content);
+    return;
+  }
+  
+  const channelId = getGuildSettings(session.guildId).announceChannelId || session.textChannelId;
+  const channel = channelId && await getCachedChannel(channelId);
+  if (!channel?.isTextBased()) return;
+  
+  // A new song gets a fresh panel at the bottom of the channel
+  session.nowPlayingPanel = null;
+  if (panel) {
+    await panel.message.delete()
+      .catch(() => panel.message.edit({ components: createPlayerControls(session, true) }))
+      .catch(() => {});
+  }
+  
+  const message = await channel.send(content);
+  session.nowPlayingPanel = { message, song: session.currentSong };
+}
+
+// Optimized command registration
+async function registerCommands() {
+  const rest = new REST({ version: '10' }).setToken(TOKEN);
+  
+  try {
+    logger.info('🔄 Registering commands...');
+    
+    await rest.put(
+      Routes.applicationCommands(client.user.id),
+      { body: commands }
+    );
+
+    logger.info(`✅ Successfully registered ${commands.length} commands!`);
+    
+  } catch (error) {
+    logger.error('❌ Error registering commands', { error: error.message });
+  }
+}
+
+// Bot ready event with optimizations
+client.once('ready', async () => {
+  logger.info(`🤖 Bot is ready! Logged in as ${client.user.tag}`);
+  logger.info(`📝 Bot ID: ${client.user.id}`);
+  
+  // Keep saved playback positions fresh in case the process dies
+  setInterval(() => {
+    sessions.forEach(session => {
+      if (session.isPlaying) persistSession(session);
+    });
+  }, SESSION_SAVE_INTERVAL_MS).unref();
+  
+  setInterval(logCacheStats, CACHE_STATS_INTERVAL_MS).unref();
+  
+  startControlApi();
+  startMetricsServer();
+  
+  scanLibrary().catch(error => logger.error('❌ Error scanning music library', { error: error.message }));
+  
+  // Register commands and resume or join VC in parallel
+  await Promise.all([
+    registerCommands(),
+    new Promise(resolve => setTimeout(resolve, 3000))
+      .then(() => resumeSavedSessions())
+      .then(() => joinDefaultVC())
+  ]);
+});
+
+// Forget deleted channels so a stale object is never reused
+client.on('channelDelete', channel => {
+  cache.channels.delete(channel.id);
+});
+
+client.on('threadDelete', thread => {
+  cache.channels.delete(thread.id);
+});
+
+// Optimized interaction handler
+client.on('interactionCreate', interaction => {
+  const context = {
+    guildId: interaction.guildId,
+    command: interaction.isMessageComponent() ? interaction.customId.split(':')[0] : interaction.commandName,
+    interactionId: interaction.id
+  };
+  return logContext.run(context, () => handleInteraction(interaction));
+});
+
+// Route an interaction to its autocomplete, component or command handler
+async function handleInteraction(interaction) {
+  if (interaction.isAutocomplete()) {
+    return handleAutocomplete(interaction);
+  }
+
+  if (interaction.isMessageComponent()) {
+    return handleComponent(interaction);
+  }
+
+  if (!interaction.isChatInputCommand()) return;
+
+  const commandHandlers = {
+    play: handlePlay,
+    skip: handleSkip,
+    queue: handleQueue,
+    stop: handleStop,
+    nowplaying: handleNowPlaying,
+    pause: handlePause,
+    resume: handleResume,
+    leave: handleLeave,
+    loop: handleLoop,
+    playnext: interaction => handlePlay(interaction, { playNext: true }),
+    remove: handleRemove,
+    move: handleMove,
+    shuffle: handleShuffle,
+    clear: handleClear,
+    skipto: handleSkipTo,
+    volume: handleVolume,
+    seek: handleSeek,
+    forward: interaction => handleSeekBy(interaction, 1),
+    rewind: interaction => handleSeekBy(interaction, -1),
+    filter: handleFilter,
+    playlist: handlePlaylist,
+    library: handleLibrary,
+    search: handleSearch,
+    autoplay: handleAutoplay,
+    history: handleHistory,
+    replay: handleReplay,
+    previous: handlePrevious,
+    settings: handleSettings
+  };
+
+  const handler = commandHandlers[interaction.commandName];
+  if (!handler) return;
+
+  const commandMetrics = metrics.commands[interaction.commandName] ||= { count: 0, errors: 0, seconds: 0 };
+  const startedAt = process.hrtime.bigint();
+  commandMetrics.count++;
+
+  try {
+    await handler(interaction);
+  } catch (error) {
+    commandMetrics.errors++;
+    logger.error('Command error', { error });
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({ 
+        content: '❌ An error occurred while executing the command.', 
+        ephemeral: true 
+      }).catch(() => {});
+    }
+  } finally {
+    commandMetrics.seconds += Number(process.hrtime.bigint() - startedAt) / 1e9;
+  }
+}
+
+// Autocomplete handler for the song option, mixing recent requests with live search
+async function handleAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  if (focused.name !== 'song') {
+    return interaction.respond([]).catch(() => {});
+  }
+
+  const query = focused.value.trim();
+  const recent = (recentRequests.get(interaction.user.id) || [])
+    .filter(song => song.title.toLowerCase().includes(query.toLowerCase()))
+    .slice(0, AUTOCOMPLETE_RECENT_LIMIT);
+
+  let results = [];
+  if (query.length >= AUTOCOMPLETE_MIN_QUERY_LENGTH && !/^https?:\/\//.test(query)) {
+    results = await getAutocompleteResults(interaction.user.id, query) || [];
+  }
+
+  // Values are exact URLs, so picking a suggestion skips the search in handlePlay
+  const choices = [];
+  for (const choice of [
+    ...recent.map(song => ({ name: `🕘 ${song.title}`, value: song.url })),
+    ...results.map(song => ({ name: `${song.title} (${song.duration})`, value: song.url }))
+  ]) {
+    if (choice.value.length > 100 || choices.some(existing => existing.value === choice.value)) continue;
+    choices.push({ name: choice.name.slice(0, 100), value: choice.value });
+  }
+
+  return interaction.respond(choices).catch(() => {});
+}
+
+// Debounced, cached search for autocomplete; null when a newer keystroke superseded it
+async function getAutocompleteResults(userId, query) {
+  const cachedResults = cache.searches.get(getSearchCacheKey(query, AUTOCOMPLETE_RESULT_LIMIT));
+  if (cachedResults) {
+    return cachedResults;
+  }
+
+  const token = Symbol(query);
+  autocompleteDebounce.set(userId, token);
+  await new Promise(resolve => setTimeout(resolve, AUTOCOMPLETE_DEBOUNCE_MS));
+
+  if (autocompleteDebounce.get(userId) !== token) {
+    return null;
+  }
+  autocompleteDebounce.delete(userId);
+
+  const search = searchYouTubeResults(query, AUTOCOMPLETE_RESULT_LIMIT);
+
+  // A slow search still fills the cache for the next keystroke
+  const timeout = new Promise(resolve => setTimeout(() => resolve(null), AUTOCOMPLETE_RESPONSE_MS));
+  return Promise.race([search, timeout]);
+}
+
+// Remember a queued song for the user's /play suggestions
+function rememberRequest(userId, song) {
+  const recent = (recentRequests.get(userId) || []).filter(entry => entry.url !== song.url);
+  recent.unshift({ title: song.title, url: song.url });
+  recentRequests.set(userId, recent.slice(0, RECENT_REQUESTS_LIMIT));
+}
+
+// Component handler, routed by the custom ID prefix before the first colon
+async function handleComponent(interaction) {
+  const componentHandlers = {
+    search: handleSearchSelect,
+    player: handlePlayerButton,
+    queue: handleQueuePage,
+    history: handleHistoryPage
+  };
+
+  const handler = componentHandlers[interaction.customId.split(':')[0]];
+  if (!handler) return;
+
+  try {
+    await handler(interaction);
+  } catch (error) {
+    logger.error('Component error', { error });
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({ 
+        content: '❌ An error occurred while handling that.', 
+        ephemeral: true 
+      }).catch(() => {});
+    }
+  }
+}
+
+// Add songs to the end of the queue, or to the front for /playnext
+function addToQueue(session, songs, playNext = false) {
+  if (playNext) {
+    session.queue.unshift(...songs);
+    persistSession(session);
+    refreshPrefetch(session);
+    emitQueueUpdate(session);
+    return 1;
+  }
+  
+  session.queue.push(...songs);
+  persistSession(session);
+  refreshPrefetch(session);
+  emitQueueUpdate(session);
+  return session.queue.length - songs.length + 1;
+}
+
+// Check the user can queue music from their current voice channel
+function checkPlayVoiceChannel(interaction) {
+  const voiceChannel = interaction.member?.voice?.channel;
+
+  if (!voiceChannel) {
+    return { allowed: false, message: '❌ You need to be in a voice channel to play music!' };
+  }
+
+  const session = getGuildSession(interaction.guildId);
+
+  if (session.isPlaying && session.voiceConnection?.joinConfig?.channelId !== voiceChannel.id) {
+    return { allowed: false, message: '❌ Bot is currently playing music in another voice channel. Use `/stop` first.' };
+  }
+
+  return { allowed: true, session, voiceChannel };
+}
+
+// Join the voice channel, queue the songs and start playing if idle.
+// Returns the queue position of the first song, or null if joining failed.
+async function enqueueSongs(session, voiceChannel, songs, { playNext = false, requestedBy = null } = {}) {
+  clearIdleTimeout(session);
+
+  // Optimized voice connection handling
+  if (!await ensureVoiceConnection(session, voiceChannel)) {
+    return null;
+  }
+
+  // Failure notices go to the channel each song was requested from
+  const queuedSongs = songs.map(song => ({ ...song, requestedBy, textChannelId: session.textChannelId }));
+  const position = addToQueue(session, queuedSongs, playNext);
+
+  // Anything but idle means a song is loading, playing or about to
+  if (session.trackState === 'idle') {
+    playNextSong(session);
+  }
+
+  return position;
+}
+
+// Drop songs over the guild's length limit and any that don't fit in the queue
+function applyQueueLimits(session, songs) {
+  const { maxQueueSize, maxTrackMinutes } = getGuildSettings(session.guildId);
+  let allowedSongs = songs;
+
+  if (maxTrackMinutes) {
+    allowedSongs = allowedSongs.filter(song => !song.durationSeconds || song.durationSeconds <= maxTrackMinutes * 60);
+    if (allowedSongs.length === 0) {
+      return { error: `❌ Songs longer than ${maxTrackMinutes} minutes can't be queued in this server.` };
+    }
+  }
+
+  if (maxQueueSize) {
+    const space = maxQueueSize - session.queue.length;
+    if (space <= 0) {
+      return { error: `❌ The queue is full (${maxQueueSize} songs).` };
+    }
+    allowedSongs = allowedSongs.slice(0, space);
+  }
+
+  return { songs: allowedSongs };
+}
+
+// Resolve a song name or URL and queue whatever it finds, as /play does
+async function queueQuery(session, voiceChannel, query, { playNext = false, requestedBy = null } = {}) {
+  const resolved = await resolveSongs(query);
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+
+  const { songs, error } = applyQueueLimits(session, resolved.songs);
+  if (error) {
+    return { error };
+  }
+
+  const position = await enqueueSongs(session, voiceChannel, songs, { playNext, requestedBy });
+  if (position === null) {
+    return { error: '❌ Failed to join voice channel. Please try again.' };
+  }
+
+  return { songs, playlistType: resolved.playlistType, position };
+}
+
+// Embed confirming a single song was queued
+function createSongAddedEmbed(songInfo, position) {
+  const embed = new EmbedBuilder()
+    .setColor('#00ff00')
+    .setTitle('🎵 Song Added to Queue')
+    .setDescription(`**${songInfo.title}**`)
+    .addFields(
+      { name: 'Duration', value: songInfo.duration, inline: true },
+      { name: 'Position in Queue', value: `${position}`, inline: true }
+    );
+
+  if (songInfo.thumbnail) {
+    embed.setThumbnail(songInfo.thumbnail);
+  }
+
+  return embed;
+}
+
+// Optimized play handler with enhanced playlist support
+async function handlePlay(interaction, { playNext = false } = {}) {
+  const song = interaction.options.getString('song');
+
+  const playCheck = checkPlayVoiceChannel(interaction);
+  if (!playCheck.allowed) {
+    return interaction.reply({ content: playCheck.message, ephemeral: true });
+  }
+
+  const { session, voiceChannel } = playCheck;
+  session.textChannelId = interaction.channelId;
+
+  await interaction.deferReply();
+
+  try {
+    const { songs, playlistType, position, error } = await queueQuery(session, voiceChannel, song, { 
+      playNext, 
+      requestedBy: interaction.user.id 
+    });
+    if (error) {
+      return interaction.editReply(error);
+    }
+
+    if (!playlistType) {
+      rememberRequest(interaction.user.id, songs[0]);
+      return interaction.editReply({ embeds: [createSongAddedEmbed(songs[0], position)] });
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor('#00ff00')
+      .setTitle(`🎵 ${playlistType} Added to Queue`)
+      .setDescription(`Added **${songs.length} songs** to queue.`)
+      .addFields(
+        { name: 'First Song', value: songs[0].title, inline: true },
+        { name: 'Total Songs', value: `${songs.length}`, inline: true }
+      );
+
+    return interaction.editReply({ embeds: [embed] });
+
+  } catch (error) {
+    logger.error('Play command error', { error: error.message });
+    await interaction.editReply('❌ Error playing the song. Please try again.');
+  }
+}
+
+// Optimized skip handler
+async function handleSkip(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+
+  if (session.trackState === 'idle') {
+    return interaction.reply({ content: '❌ No song is currently playing.', ephemeral: true });
+  }
+
+  let voteResult = null;
+  if (!canSkipSong(interaction.member, session.currentSong)) {
+    voteResult = registerSkipVote(session, interaction.member);
+    if (!voteResult.passed) {
+      return interaction.reply({ 
+        content: `🗳️ ${interaction.user} voted to skip **${session.currentSong.title}** (${voteResult.votes}/${voteResult.required} votes).` 
+      });
+    }
+  }
+
+  const skippedSong = skipSong(session);
+  
+  const embed = new EmbedBuilder()
+    .setColor('#ffff00')
+    .setTitle(voteResult ? '⏭️ Vote Skip Passed' : '⏭️ Song Skipped')
+    .setDescription(`Skipped: **${skippedSong?.title || 'Unknown'}**`);
+
+  if (voteResult) {
+    embed.setFooter({ text: `${voteResult.votes}/${voteResult.required} votes` });
+  }
+
+  return interaction.reply({ embeds: [embed] });
+}
+
+// Optimized queue handler
+async function handleQueue(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+
+  if (session.queue.length === 0 && !session.currentSong) {
+    return interaction.reply({ content: '📭 The queue is empty.', ephemeral: true });
+  }
+
+  return interaction.reply(createQueuePage(session, interaction.options.getInteger('page') ?? 1));
+}
+
+// Seconds until each queued song starts, null once a song of unknown length is ahead
+function getQueueStartTimes(session) {
+  const current = session.currentSong;
+  let elapsed = current 
+    ? (current.durationSeconds ? Math.max(0, current.durationSeconds - getPlaybackPosition(session)) : null) 
+    : 0;
+
+  return session.queue.map(song => {
+    const startsIn = elapsed === null ? null : elapsed / session.playbackTempo;
+    elapsed = elapsed === null || !song.durationSeconds ? null : elapsed + song.durationSeconds;
+    return startsIn;
+  });
+}
+
+// One page of the queue with buttons to flip through it
+function createQueuePage(session, page) {
+  const pageCount = Math.max(1, Math.ceil(session.queue.length / QUEUE_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page, 1), pageCount);
+  const start = (currentPage - 1) * QUEUE_PAGE_SIZE;
+  const startTimes = getQueueStartTimes(session);
+  const queueStrings = [];
+
+  if (session.currentSong) {
+    queueStrings.push(`**Now Playing:** ${formatSongTitle(session.currentSong)}\n`);
+  }
+
+  if (session.queue.length > 0) {
+    queueStrings.push('**Queue:**');
+    session.queue.slice(start, start + QUEUE_PAGE_SIZE).forEach((song, index) => {
+      const startsIn = startTimes[start + index];
+      const eta = startsIn === null ? 'later' : `in ${formatDuration(startsIn)}`;
+      queueStrings.push(`${start + index + 1}. **${song.title}** \`${song.duration || 'N/A'}\` • ${formatRequester(song)} • ${eta}`);
+    });
+  }
+
+  const totalSeconds = session.queue.reduce((total, song) => total + (song.durationSeconds || 0), 0);
+  const hasUnknownLength = session.queue.some(song => !song.durationSeconds);
+
+  const embed = new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle('🎵 Music Queue')
+    .setDescription(queueStrings.join('\n') || 'Queue is empty')
+    .setFooter({ 
+      text: `Page ${currentPage}/${pageCount} • ${session.queue.length} songs • ` +
+        `Total: ${formatDuration(totalSeconds)}${hasUnknownLength ? '+' : ''} • ` +
+        `Loop: ${LOOP_MODE_LABELS[session.loopMode]} • Autoplay: ${session.autoplay ? 'On' : 'Off'}` 
+    });
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`queue:${currentPage - 1}`)
+      .setEmoji('◀️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage <= 1),
+    new ButtonBuilder()
+      .setCustomId(`queue:${currentPage + 1}`)
+      .setEmoji('▶️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage >= pageCount)
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+// Queue page buttons, showing the queue as it is now
+async function handleQueuePage(interaction) {
+  const page = Number(interaction.customId.split(':')[1]);
+  
+  // Buttons on an old message can outlive the session, don't start a new one for them
+  const session = sessions.get(interaction.guildId);
+  if (!session || (session.queue.length === 0 && !session.currentSong)) {
+    return interaction.update({ content: '📭 The queue is empty.', embeds: [], components: [] });
+  }
+  
+  return interaction.update(createQueuePage(session, page));
+}
+
+// Optimized stop handler
+async function handleStop(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+
+  if (session.trackState === 'idle') {
+    return interaction.reply({ content: '❌ No music is currently playing.', ephemeral: true });
+  }
+
+  if (!canManageQueue(interaction.member, session)) {
+    return interaction.reply({ content: DJ_ONLY_MESSAGE, ephemeral: true });
+  }
+
+  stopPlayback(session);
+
+  const embed = new EmbedBuilder()
+    .setColor('#ff0000')
+    .setTitle('⏹️ Music Stopped')
+    .setDescription('Stopped music and cleared the queue.');
+
+  return interaction.reply({ embeds: [embed] });
+}
+
+// Optimized now playing handler
+async function handleNowPlaying(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+
+  if (!session.currentSong) {
+    return interaction.reply({ content: '❌ No song is currently playing.', ephemeral: true });
+  }
+
+  return interaction.reply({ embeds: [createNowPlayingEmbed(session)] });
+}
+
+// Optimized pause handler
+async function handlePause(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+
+  if (!session.isPlaying || session.isPaused) {
+    return interaction.reply({ 
+      content: session.isPaused ? '❌ Music is already paused.' : '❌ No song is currently playing.', 
+      ephemeral: true 
+    });
+  }
+
+  session.audioPlayer.pause();
+  return interaction.reply({ content: '⏸️ Music paused.' });
+}
+
+// Optimized resume handler
+async function handleResume(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+
+  if (!session.isPaused) {
+    return interaction.reply({ content: '❌ Music is not paused.', ephemeral: true });
+  }
+
+  resumePlayback(session);
+  return interaction.reply({ content: '▶️ Music resumed.' });
+}
+
+// Optimized leave handler
+async function handleLeave(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+
+  if (!session.voiceConnection) {
+    return interaction.reply({ content: '❌ Bot is not in a voice channel.', ephemeral: true });
+  }
+
+  if (!canManageQueue(interaction.member, session)) {
+    return interaction.reply({ content: DJ_ONLY_MESSAGE, ephemeral: true });
+  }
+
+  session.voiceConnection.destroy();
+  session.voiceConnection = null;
+  cancelTrackRetry(session);
+  stopCurrentTrack(session);
+  discardPrefetch(session);
+  session.queue.length = 0;
+  session.currentSong = null;
+  session.isPlaying = false;
+  session.isPaused = false;
+  setTrackState(session, 'idle');
+  persistSession(session);
+  emitQueueUpdate(session);
+  updateNowPlayingPanel(session);
+  clearIdleTimeout(session);
+
+  // Only 24/7 mode goes back to the home channel
+  if (isStayInVoice(session.guildId)) {
+    setTimeout(() => joinDefaultVC(session), 1000);
+  }
+
+  return interaction.reply({ content: '👋 Left the voice channel and cleared the queue.' });
+}
+
+// Loop mode handler
+async function handleLoop(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+  session.loopMode = interaction.options.getString('mode');
+  persistSession(session);
+  refreshPrefetch(session);
+  updateNowPlayingPanel(session);
+
+  return interaction.reply({ content: `Loop mode set to **${LOOP_MODE_LABELS[session.loopMode]}**.` });
+}
+
+// Autoplay handler
+async function handleAutoplay(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+  session.autoplay = interaction.options.getString('mode') === 'on';
+  persistSession(session);
+  updateNowPlayingPanel(session);
+
+  return interaction.reply({ 
+    content: session.autoplay 
+      ? `${AUTOPLAY_LABEL} is **on**. Related songs will play when the queue runs out.` 
+      : `${AUTOPLAY_LABEL} is **off**.` 
+  });
+}
+
+// One page of the guild's history with previous/next buttons
+function createHistoryPage(guildId, page) {
+  const history = playbackHistory[guildId] || [];
+  const pageCount = Math.max(1, Math.ceil(history.length / HISTORY_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page, 1), pageCount);
+  const start = (currentPage - 1) * HISTORY_PAGE_SIZE;
+
+  const historyStrings = history.slice(start, start + HISTORY_PAGE_SIZE).map((entry, index) => {
+    const playedAt = `<t:${Math.floor(entry.playedAt / 1000)}:R>`;
+    return `${start + index + 1}. ${HISTORY_OUTCOME_LABELS[entry.outcome]} **${entry.song.title}** • ${formatRequester(entry.song)} • ${playedAt}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle('🕘 Recently Played')
+    .setDescription(historyStrings.join('\n'))
+    .setFooter({ text: `Page ${currentPage}/${pageCount} • ${history.length} songs • /replay <number> to queue again` });
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`history:${currentPage - 1}`)
+      .setEmoji('◀️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage <= 1),
+    new ButtonBuilder()
+      .setCustomId(`history:${currentPage + 1}`)
+      .setEmoji('▶️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage >= pageCount)
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+// History handler
+async function handleHistory(interaction) {
+  if ((playbackHistory[interaction.guildId] || []).length === 0) {
+    return interaction.reply({ content: '📭 Nothing has been played yet.', ephemeral: true });
+  }
+
+  return interaction.reply(createHistoryPage(interaction.guildId, interaction.options.getInteger('page') ?? 1));
+}
+
+// History page buttons
+async function handleHistoryPage(interaction) {
+  const page = Number(interaction.customId.split(':')[1]);
+  return interaction.update(createHistoryPage(interaction.guildId, page));
+}
+
+// Replay handler
+async function handleReplay(interaction) {
+  const history = playbackHistory[interaction.guildId] || [];
+  const entry = history[interaction.options.getInteger('entry') - 1];
+
+  if (!entry) {
+    return interaction.reply({ 
+      content: history.length === 0 
+        ? '📭 Nothing has been played yet.' 
+        : `❌ Invalid entry. The history has ${history.length} songs.`, 
+      ephemeral: true 
+    });
+  }
+
+  const playCheck = checkPlayVoiceChannel(interaction);
+  if (!playCheck.allowed) {
+    return interaction.reply({ content: playCheck.message, ephemeral: true });
+  }
+
+  const { session, voiceChannel } = playCheck;
+  session.textChannelId = interaction.channelId;
+
+  await interaction.deferReply();
+
+  const { error } = applyQueueLimits(session, [entry.song]);
+  if (error) {
+    return interaction.editReply(error);
+  }
+
+  const position = await enqueueSongs(session, voiceChannel, [entry.song], { requestedBy: interaction.user.id });
+  if (position === null) {
+    return interaction.editReply('❌ Failed to join voice channel. Please try again.');
+  }
+
+  return interaction.editReply({ embeds: [createSongAddedEmbed(entry.song, position)] });
+}
+
+// Previous handler, plays the last ended song and puts the current one right after it
+async function handlePrevious(interaction) {
+  const [entry] = playbackHistory[interaction.guildId] || [];
+  if (!entry) {
+    return interaction.reply({ content: '📭 Nothing has been played yet.', ephemeral: true });
+  }
+
+  const playCheck = checkPlayVoiceChannel(interaction);
+  if (!playCheck.allowed) {
+    return interaction.reply({ content: playCheck.message, ephemeral: true });
+  }
+
+  const { session, voiceChannel } = playCheck;
+  session.textChannelId = interaction.channelId;
+  const currentSong = session.currentSong;
+
+  if (currentSong && !canSkipSong(interaction.member, currentSong)) {
+    return interaction.reply({ content: '❌ Only DJs or the person who queued the current song can go back.', ephemeral: true });
+  }
+
+  await interaction.deferReply();
+
+  const { error } = applyQueueLimits(session, [entry.song]);
+  if (error) {
+    return interaction.editReply(error);
+  }
+
+  const position = await enqueueSongs(session, voiceChannel, [entry.song], { playNext: true, requestedBy: interaction.user.id });
+  if (position === null) {
+    return interaction.editReply('❌ Failed to join voice channel. Please try again.');
+  }
+
+  // Queue looping already puts the current song back at the end
+  if (currentSong && (session.isPlaying || session.isPaused)) {
+    if (session.loopMode !== 'queue') {
+      session.queue.splice(1, 0, currentSong);
+      persistSession(session);
+      emitQueueUpdate(session);
+    }
+    skipSong(session);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor('#ffff00')
+    .setTitle('⏮️ Previous Song')
+    .setDescription(`Going back to: **${entry.song.title}**`);
+
+  return interaction.editReply({ embeds: [embed] });
+}
+
+// Check a 1-based queue position as printed by /queue
+function isValidQueuePosition(session, position) {
+  return Number.isInteger(position) && position >= 1 && position <= session.queue.length;
+}
+
+function invalidPositionReply(interaction, session) {
+  return interaction.reply({ 
+    content: session.queue.length === 0 
+      ? '❌ The queue is empty.' 
+      : `❌ Invalid position. The queue has ${session.queue.length} songs.`, 
+    ephemeral: true 
+  });
+}
+
+// Remove handler
+async function handleRemove(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+  const position = interaction.options.getInteger('position');
+
+  if (!isValidQueuePosition(session, position)) {
+    return invalidPositionReply(interaction, session);
+  }
+
+  const removedSong = removeFromQueue(session, position);
+  return interaction.reply({ content: `🗑️ Removed **${removedSong.title}** from the queue.` });
+}
+
+// Move handler
+async function handleMove(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+  const from = interaction.options.getInteger('from');
+  const to = interaction.options.getInteger('to');
+
+  if (!isValidQueuePosition(session, from) || !isValidQueuePosition(session, to)) {
+    return invalidPositionReply(interaction, session);
+  }
+
+  const movedSong = moveInQueue(session, from, to);
+  return interaction.reply({ content: `↕️ Moved **${movedSong.title}** to position ${to}.` });
+}
+
+// Shuffle handler
+async function handleShuffle(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+
+  if (session.queue.length < 2) {
+    return interaction.reply({ content: '❌ Not enough songs in the queue to shuffle.', ephemeral: true });
+  }
+
+  shuffleQueue(session);
+
+  return interaction.reply({ content: `🔀 Shuffled ${session.queue.length} songs.` });
+}
+
+// Clear handler
+async function handleClear(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+
+  if (session.queue.length === 0) {
+    return interaction.reply({ content: '📭 The queue is already empty.', ephemeral: true });
+  }
+
+  if (!canManageQueue(interaction.member, session)) {
+    return interaction.reply({ content: DJ_ONLY_MESSAGE, ephemeral: true });
+  }
+
+  const clearedCount = clearQueue(session);
+  return interaction.reply({ content: `🧹 Cleared ${clearedCount} songs from the queue.` });
+}
+
+// Skip to handler
+async function handleSkipTo(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+  const position = interaction.options.getInteger('position');
+
+  if (session.trackState === 'idle') {
+    return interaction.reply({ content: '❌ No song is currently playing.', ephemeral: true });
+  }
+
+  if (!isValidQueuePosition(session, position)) {
+    return invalidPositionReply(interaction, session);
+  }
+
+  if (!canManageQueue(interaction.member, session)) {
+    return interaction.reply({ content: DJ_ONLY_MESSAGE, ephemeral: true });
+  }
+
+  // Songs jumped over go to the back when the whole queue is looping
+  const skippedSongs = session.queue.splice(0, position - 1);
+  if (session.loopMode === 'queue') {
+    session.queue.push(...skippedSongs);
+  }
+
+  const targetSong = session.queue[0];
+  skipSong(session);
+
+  const embed = new EmbedBuilder()
+    .setColor('#ffff00')
+    .setTitle('⏭️ Skipped Ahead')
+    .setDescription(`Skipping to: **${targetSong.title}**`);
+
+  return interaction.reply({ embeds: [embed] });
+}
+
+// Volume handler
+async function handleVolume(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+  const level = interaction.options.getInteger('level');
+
+  setSessionVolume(session, level);
+  updateNowPlayingPanel(session);
+
+  const icon = level === 0 ? '🔇' : level < 50 ? '🔈' : level < 100 ? '🔉' : '🔊';
+  return interaction.reply({ content: `${icon} Volume set to **${level}%**.` });
+}
+
+// Seek handler
+async function handleSeek(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+
+  if (!session.currentSong || (!session.isPlaying && !session.isPaused)) {
+    return interaction.reply({ content: '❌ No song is currently playing.', ephemeral: true });
+  }
+
+  const seconds = parseTimestamp(interaction.options.getString('position'));
+  if (seconds === null) {
+    return interaction.reply({ content: '❌ Invalid position. Use `mm:ss`, `h:mm:ss` or seconds.', ephemeral: true });
+  }
+
+  const total = session.currentSong.durationSeconds;
+  if (total && seconds >= total) {
+    return interaction.reply({ 
+      content: `❌ Position is past the end of the song (${formatDuration(total)}).`, 
+      ephemeral: true 
+    });
+  }
+
+  const position = seekTo(session, seconds);
+  return interaction.reply({ content: `⏩ Seeked to **${formatDuration(position)}**.` });
+}
+
+// Forward/rewind handler, direction is 1 or -1
+async function handleSeekBy(interaction, direction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+
+  if (!session.currentSong || (!session.isPlaying && !session.isPaused)) {
+    return interaction.reply({ content: '❌ No song is currently playing.', ephemeral: true });
+  }
+
+  const step = interaction.options.getInteger('seconds') ?? DEFAULT_SEEK_STEP;
+  const target = getPlaybackPosition(session) + direction * step;
+  const total = session.currentSong.durationSeconds;
+
+  // Jumping past the end just moves on to the next song
+  if (total && target >= total) {
+    skipSong(session);
+    return interaction.reply({ content: '⏭️ Reached the end of the song, skipping.' });
+  }
+
+  const position = seekTo(session, target);
+  const icon = direction > 0 ? '⏩' : '⏪';
+  return interaction.reply({ content: `${icon} Jumped to **${formatDuration(position)}**.` });
+}
+
+// Filter handler, toggles a preset and re-applies at the current position
+async function handleFilter(interaction) {
+  const vcCheck = checkSameVoiceChannel(interaction);
+  if (!vcCheck.allowed) {
+    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  }
+
+  const { session } = vcCheck;
+  const preset = interaction.options.getString('preset');
+  const value = interaction.options.getNumber('value') ?? DEFAULT_FILTER_VALUE;
+
+  if (preset === 'off') {
+    session.filters = {};
+  } else if (session.filters[preset] !== undefined && !interaction.options.getNumber('value')) {
+    delete session.filters[preset];
+  } else {
+    session.filters[preset] = ['speed', 'pitch'].includes(preset) ? value : true;
+  }
+
+  if (session.currentSong && (session.isPlaying || session.isPaused)) {
+    seekTo(session, getPlaybackPosition(session));
+  }
+
+  const labels = getFilterLabels(session.filters);
+  return interaction.reply({ 
+    content: labels.length > 0 
+      ? `🎛️ Active filters: **${labels.join(', ')}**` 
+      : '🎛️ All filters cleared.' 
+  });
+}
+
+// Playlist handler, dispatches to the subcommands
+async function handlePlaylist(interaction) {
+  const playlistHandlers = {
+    save: handlePlaylistSave,
+    load: handlePlaylistLoad,
+    add: handlePlaylistAdd,
+    list: handlePlaylistList,
+    show: handlePlaylistShow,
+    delete: handlePlaylistDelete
+  };
+
+  return playlistHandlers[interaction.options.getSubcommand()](interaction);
+}
+
+async function handlePlaylistSave(interaction) {
+  const name = interaction.options.getString('name').trim();
+  const session = sessions.get(interaction.guildId);
+  const songs = session ? [session.currentSong, ...session.queue].filter(Boolean) : [];
+
+  if (songs.length === 0) {
+    return interaction.reply({ content: '❌ There is nothing playing or queued to save.', ephemeral: true });
+  }
+
+  const { store, ownerId, scopeLabel } = getPlaylistOwner(interaction);
+  const existing = getPlaylist(interaction, name);
+
+  if (existing && scopeLabel === 'server' && !canManagePlaylist(interaction, existing)) {
+    return interaction.reply({ content: '❌ Only the creator or a server manager can overwrite this playlist.', ephemeral: true });
+  }
+
+  store[ownerId] = store[ownerId] || {};
+  store[ownerId][name.toLowerCase()] = {
+    name,
+    createdBy: existing?.createdBy || interaction.user.id,
+    updatedAt: Date.now(),
+    songs
+  };
+  savePlaylists();
+
+  return interaction.reply({ content: `💾 Saved ${scopeLabel} playlist **${name}** with ${songs.length} songs.` });
+}
+
+async function handlePlaylistLoad(interaction) {
+  const playlist = getPlaylist(interaction, interaction.options.getString('name'));
+  if (!playlist) {
+    return interaction.reply({ content: '❌ Playlist not found.', ephemeral: true });
+  }
+
+  const playCheck = checkPlayVoiceChannel(interaction);
+  if (!playCheck.allowed) {
+    return interaction.reply({ content: playCheck.message, ephemeral: true });
+  }
+
+  const { session, voiceChannel } = playCheck;
+  session.textChannelId = interaction.channelId;
+
+  await interaction.deferReply();
+
+  const { songs, error } = applyQueueLimits(session, playlist.songs);
+  if (error) {
+    return interaction.editReply(error);
+  }
+
+  const position = await enqueueSongs(session, voiceChannel, songs, { requestedBy: interaction.user.id });
+  if (position === null) {
+    return interaction.editReply('❌ Failed to join voice channel. Please try again.');
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor('#00ff00')
+    .setTitle('📂 Playlist Added to Queue')
+    .setDescription(`Added **${songs.length} songs** from **${playlist.name}** to queue.`)
+    .addFields(
+      { name: 'First Song', value: songs[0].title, inline: true },
+      { name: 'Position in Queue', value: `${position}`, inline: true }
+    );
+
+  return interaction.editReply({ embeds: [embed] });
+}
+
+async function handlePlaylistAdd(interaction) {
+  const playlist = getPlaylist(interaction, interaction.options.getString('name'));
+  if (!playlist) {
+    return interaction.reply({ content: '❌ Playlist not found.', ephemeral: true });
+  }
+
+  if (!canManagePlaylist(interaction, playlist)) {
+    return interaction.reply({ content: '❌ Only the creator or a server manager can edit this playlist.', ephemeral: true });
+  }
+
+  await interaction.deferReply();
+
+  try {
+    const { songs, error } = await resolveSongs(interaction.options.getString('song'));
+    if (error) {
+      return interaction.editReply(error);
+    }
+
+    playlist.songs.push(...songs);
+    playlist.updatedAt = Date.now();
+    savePlaylists();
+
+    return interaction.editReply(songs.length === 1
+      ? `➕ Added **${songs[0].title}** to **${playlist.name}**.`
+      : `➕ Added **${songs.length} songs** to **${playlist.name}**.`);
+  } catch (error) {
+    logger.error('Playlist add error', { error: error.message });
+    return interaction.editReply('❌ Error adding the song. Please try again.');
+  }
+}
+
+async function handlePlaylistList(interaction) {
+  const { store, ownerId, scopeLabel } = getPlaylistOwner(interaction);
+  const ownPlaylists = Object.values(store[ownerId] || {});
+
+  if (ownPlaylists.length === 0) {
+    return interaction.reply({ content: `📭 No ${scopeLabel} playlists saved yet.`, ephemeral: true });
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle(scopeLabel === 'server' ? '📂 Server Playlists' : '📂 Your Playlists')
+    .setDescription(ownPlaylists
+      .map(playlist => `**${playlist.name}** - ${playlist.songs.length} songs`)
+      .join('\n'));
+
+  return interaction.reply({ embeds: [embed], ephemeral: scopeLabel === 'personal' });
+}
+
+async function handlePlaylistShow(interaction) {
+  const playlist = getPlaylist(interaction, interaction.options.getString('name'));
+  if (!playlist) {
+    return interaction.reply({ content: '❌ Playlist not found.', ephemeral: true });
+  }
+
+  const songStrings = playlist.songs
+    .slice(0, PLAYLIST_SHOW_LIMIT)
+    .map((song, index) => `${index + 1}. ${song.title} (${song.duration})`);
+
+  if (playlist.songs.length > PLAYLIST_SHOW_LIMIT) {
+    songStrings.push(`... and ${playlist.songs.length - PLAYLIST_SHOW_LIMIT} more songs`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle(`📂 ${playlist.name}`)
+    .setDescription(songStrings.join('\n') || 'Playlist is empty')
+    .setFooter({ text: `${playlist.songs.length} songs` });
+
+  return interaction.reply({ embeds: [embed] });
+}
+
+async function handlePlaylistDelete(interaction) {
+  const name = interaction.options.getString('name');
+  const playlist = getPlaylist(interaction, name);
+  if (!playlist) {
+    return interaction.reply({ content: '❌ Playlist not found.', ephemeral: true });
+  }
+
+  if (!canManagePlaylist(interaction, playlist)) {
+    return interaction.reply({ content: '❌ Only the creator or a server manager can delete this playlist.', ephemeral: true });
+  }
+
+  const { store, ownerId } = getPlaylistOwner(interaction);
+  delete store[ownerId][name.toLowerCase()];
+  savePlaylists();
+
+  return interaction.reply({ content: `🗑️ Deleted playlist **${playlist.name}**.` });
+}
+
+// Personal playlists are always the user's own; shared ones need the creator or a manager
+function canManagePlaylist(interaction, playlist) {
+  return playlist.createdBy === interaction.user.id ||
+    interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild);
+}
+
+// Library handler, dispatches to the subcommands
+async function handleLibrary(interaction) {
+  if (!MUSIC_DIR) {
+    return interaction.reply({ content: '❌ The local music library is not configured.', ephemeral: true });
+  }
+
+  const libraryHandlers = {
+    search: handleLibrarySearch,
+    play: handleLibraryPlay,
+    rescan: handleLibraryRescan
+  };
+
+  return libraryHandlers[interaction.options.getSubcommand()](interaction);
+}
+
+async function handleLibrarySearch(interaction) {
+  const results = searchLibrary(interaction.options.getString('query'));
+
+  if (results.length === 0) {
+    return interaction.reply({ content: '❌ No library tracks match your search.', ephemeral: true });
+  }
+
+  const resultStrings = results
+    .slice(0, LIBRARY_SEARCH_LIMIT)
+    .map((song, index) => `${index + 1}. ${song.title}${song.album ? ` *(${song.album})*` : ''} - ${song.duration}`);
+
+  if (results.length > LIBRARY_SEARCH_LIMIT) {
+    resultStrings.push(`... and ${results.length - LIBRARY_SEARCH_LIMIT} more tracks`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle('📁 Library Search')
+    .setDescription(resultStrings.join('\n'));
+
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleLibraryPlay(interaction) {
+  const type = interaction.options.getString('type');
+  const query = interaction.options.getString('query');
+
+  // Tracks queue the best match, albums and artists queue everything that matches
+  const results = searchLibrary(query, type === 'track' ? null : type);
+  const matches = type === 'track' ? results.slice(0, 1) : results;
+
+  if (matches.length === 0) {
+    return interaction.reply({ content: `❌ No library ${type} matches your search.`, ephemeral: true });
+  }
+
+  const playCheck = checkPlayVoiceChannel(interaction);
+  if (!playCheck.allowed) {
+    return interaction.reply({ content: playCheck.message, ephemeral: true });
+  }
+
+  const { session, voiceChannel } = playCheck;
+  session.textChannelId = interaction.channelId;
+
+  await interaction.deferReply();
+
+  const { songs, error } = applyQueueLimits(session, matches);
+  if (error) {
+    return interaction.editReply(error);
+  }
+
+  const position = await enqueueSongs(session, voiceChannel, songs, { requestedBy: interaction.user.id });
+  if (position === null) {
+    return interaction.editReply('❌ Failed to join voice channel. Please try again.');
+  }
+
+  if (songs.length === 1) {
+    return interaction.editReply({ embeds: [createSongAddedEmbed(songs[0], position)] });
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor('#00ff00')
+    .setTitle(`📁 ${type === 'album' ? 'Album' : 'Artist'} Added to Queue`)
+    .setDescription(`Added **${songs.length} songs** to queue.`)
+    .addFields(
+      { name: 'First Song', value: songs[0].title, inline: true },
+      { name: 'Position in Queue', value: `${position}`, inline: true }
+    );
+
+  return interaction.editReply({ embeds: [embed] });
+}
+
+async function handleLibraryRescan(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const trackCount = await scanLibrary();
+    return interaction.editReply(`✅ Library rescanned: ${trackCount} tracks indexed.`);
+  } catch (error) {
+    logger.error('❌ Error scanning music library', { error: error.message });
+    return interaction.editReply('❌ Failed to scan the music library.');
+  }
+}
+
+// Search handler, shows the top results in a select menu
+async function handleSearch(interaction) {
+  const query = interaction.options.getString('query');
+
+  await interaction.deferReply();
+
+  const results = await searchYouTubeResults(query, SEARCH_RESULT_LIMIT);
+  if (results.length === 0) {
+    return interaction.editReply('❌ No results found for your search.');
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle(`🔎 Results for "${query}"`)
+    .setDescription(results
+      .map((song, index) => `**${index + 1}.** [${song.title}](${song.url})\n${song.channel || 'Unknown channel'} • ${song.duration}`)
+      .join('\n'))
+    .setFooter({ text: 'Pick one or more results to queue. This menu expires in 1 minute.' });
+
+  if (results[0].thumbnail) {
+    embed.setThumbnail(results[0].thumbnail);
+  }
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`search:${interaction.id}`)
+    .setPlaceholder('Choose songs to queue')
+    .setMinValues(1)
+    .setMaxValues(results.length)
+    .addOptions(results.map((song, index) => ({
+      label: `${index + 1}. ${song.title}`.slice(0, 100),
+      description: `${song.channel || 'Unknown channel'} • ${song.duration}`.slice(0, 100),
+      value: `${index}`
+    })));
+
+  await interaction.editReply({ embeds: [embed], components: [new ActionRowBuilder().addComponents(menu)] });
+
+  // Disable the menu once it expires
+  const timeout = setTimeout(() => {
+    pendingSearches.delete(interaction.id);
+    interaction.editReply({ content: '⌛ This search has expired.', components: [] }).catch(() => {});
+  }, SEARCH_MENU_TIMEOUT_MS);
+
+  pendingSearches.set(interaction.id, { userId: interaction.user.id, results, timeout });
+}
 
-  const handler = commandHandlers[interaction.commandName];
-  if (!handler) return;
+// Queue the songs picked from a /search menu
+async function handleSearchSelect(interaction) {
+  const searchId = interaction.customId.split(':')[1];
+  const search = pendingSearches.get(searchId);
 
-  try {
-    await handler(interaction);
-  } catch (error) {
-    console.error('Command error:', error.message);
-    if (!interaction.replied && !interaction.deferred) {
-      await interaction.reply({ 
-        content: '❌ An error occurred while executing the command.', 
-        ephemeral: true 
-      }).catch(() => {});
-    }
+  if (!search) {
+    return interaction.reply({ content: '⌛ This search has expired. Run `/search` again.', ephemeral: true });
   }
-});
-
-// Optimized play handler with enhanced playlist support
-async function handlePlay(interaction) {
-  const song = interaction.options.getString('song');
-  const voiceChannel = interaction.member?.voice?.channel;
 
-  if (!voiceChannel) {
-    return interaction.reply({ 
-      content: '❌ You need to be in a voice channel to play music!', 
-      ephemeral: true 
-    });
+  if (search.userId !== interaction.user.id) {
+    return interaction.reply({ content: '❌ Only the person who searched can pick from these results.', ephemeral: true });
   }
 
-  if (isPlaying && voiceConnection?.joinConfig?.channelId !== voiceChannel.id) {
-    return interaction.reply({ 
-      content: '❌ Bot is currently playing music in another voice channel. Use `/stop` first.', 
-      ephemeral: true 
-    });
+  const playCheck = checkPlayVoiceChannel(interaction);
+  if (!playCheck.allowed) {
+    return interaction.reply({ content: playCheck.message, ephemeral: true });
   }
 
-  await interaction.deferReply();
+  const { session, voiceChannel } = playCheck;
+  session.textChannelId = interaction.channelId;
 
-  try {
-    // Check if it's a YouTube URL
-    if (/(?:youtube\.com\/|youtu\.be\/)/.test(song)) {
-      
-      // Check if it's a playlist
-      const playlistInfo = isYouTubePlaylist(song);
-      if (playlistInfo.isPlaylist) {
-        // Process playlist
-        console.log(`🎵 Detected YouTube playlist: ${song}`);
-        const playlistVideos = await getPlaylistVideos(song);
-        
-        if (!playlistVideos || playlistVideos.length === 0) {
-          return interaction.editReply('❌ Failed to load playlist or playlist is empty.');
-        }
-        
-        clearIdleTimeout();
+  clearTimeout(search.timeout);
+  pendingSearches.delete(searchId);
 
-        // Setup voice connection if needed
-        if (!voiceConnection || !isBotInAnyVC() || voiceConnection.joinConfig.channelId !== voiceChannel.id) {
-          if (voiceConnection) {
-            voiceConnection.destroy();
-          }
-          
-          voiceConnection = joinVoiceChannel({
-            channelId: voiceChannel.id,
-            guildId: interaction.guild.id,
-            adapterCreator: interaction.guild.voiceAdapterCreator,
-          });
+  const selectedSongs = interaction.values.map(value => search.results[Number(value)]);
+  selectedSongs.forEach(song => rememberRequest(interaction.user.id, song));
 
-          setupVoiceConnectionListeners(voiceConnection);
-          
-          try {
-            await entersState(voiceConnection, VoiceConnectionStatus.Ready, 10_000);
-            console.log(`🔗 Joined voice channel: ${voiceChannel.name}`);
-          } catch (error) {
-            console.error('❌ Failed to join voice channel:', error.message);
-            return interaction.editReply('❌ Failed to join voice channel. Please try again.');
-          }
-        }
+  await interaction.deferUpdate();
 
-        // Add all videos to queue
-        playlistVideos.forEach(video => currentQueue.push(video));
-        
-        const playlistType = playlistInfo.isMix ? "Mix" : 
-                            playlistInfo.isWatchLater ? "Watch Later" : 
-                            playlistInfo.isLikes ? "Liked Videos" : "Playlist";
-        
-        const embed = new EmbedBuilder()
-          .setColor('#00ff00')
-          .setTitle(`🎵 ${playlistType} Added to Queue`)
-          .setDescription(`Added **${playlistVideos.length} songs** to queue.`)
-          .addFields(
-            { name: 'First Song', value: playlistVideos[0].title, inline: true },
-            { name: 'Total Songs', value: `${playlistVideos.length}`, inline: true }
-          );
-
-        await interaction.editReply({ embeds: [embed] });
-
-        if (!isPlaying) {
-          setImmediate(() => playNextSong());
-        }
-        
-        return;
-      } 
-      // Single video URL
-      else {
-        let songInfo;
-        // Check cache first
-        if (cache.ytdlInfo.has(song)) {
-          songInfo = cache.ytdlInfo.get(song);
-        } else {
-          const info = await ytdl.getInfo(song);
-          songInfo = {
-            title: info.videoDetails.title,
-            url: song,
-            duration: info.videoDetails.lengthSeconds ? 
-              `${Math.floor(info.videoDetails.lengthSeconds / 60)}:${(info.videoDetails.lengthSeconds % 60).toString().padStart(2, '0')}` : 'N/A',
-            thumbnail: info.videoDetails.thumbnails?.[0]?.url
-          };
-          // Cache the result
-          cache.ytdlInfo.set(song, songInfo);
-        }
-        
-        clearIdleTimeout();
+  const { songs, error } = applyQueueLimits(session, selectedSongs);
+  if (error) {
+    return interaction.editReply({ content: error, embeds: [], components: [] });
+  }
 
-        // Optimized voice connection handling
-        if (!voiceConnection || !isBotInAnyVC() || voiceConnection.joinConfig.channelId !== voiceChannel.id) {
-          
-          if (voiceConnection) {
-            voiceConnection.destroy();
-          }
-          
-          voiceConnection = joinVoiceChannel({
-            channelId: voiceChannel.id,
-            guildId: interaction.guild.id,
-            adapterCreator: interaction.guild.voiceAdapterCreator,
-          });
+  const position = await enqueueSongs(session, voiceChannel, songs, { requestedBy: interaction.user.id });
+  if (position === null) {
+    return interaction.editReply({ content: '❌ Failed to join voice channel. Please try again.', embeds: [], components: [] });
+  }
 
-          setupVoiceConnectionListeners(voiceConnection);
-          
-          try {
-            await entersState(voiceConnection, VoiceConnectionStatus.Ready, 10_000);
-            console.log(`🔗 Joined voice channel: ${voiceChannel.name}`);
-          } catch (error) {
-            console.error('❌ Failed to join voice channel:', error.message);
-            return interaction.editReply('❌ Failed to join voice channel. Please try again.');
-          }
-        }
+  const embed = songs.length === 1
+    ? createSongAddedEmbed(songs[0], position)
+    : new EmbedBuilder()
+      .setColor('#00ff00')
+      .setTitle('🎵 Songs Added to Queue')
+      .setDescription(songs.map(song => `**${song.title}**`).join('\n'))
+      .addFields({ name: 'Position in Queue', value: `${position}`, inline: true });
 
-        currentQueue.push(songInfo);
+  return interaction.editReply({ embeds: [embed], components: [] });
+}
 
-        const embed = new EmbedBuilder()
-          .setColor('#00ff00')
-          .setTitle('🎵 Song Added to Queue')
-          .setDescription(`**${songInfo.title}**`)
-          .addFields(
-            { name: 'Duration', value: songInfo.duration, inline: true },
-            { name: 'Position in Queue', value: `${currentQueue.length}`, inline: true }
-          );
+// Settings handler, dispatches to the subcommands
+async function handleSettings(interaction) {
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+    return interaction.reply({ content: '❌ You need the Manage Server permission to change settings.', ephemeral: true });
+  }
 
-        if (songInfo.thumbnail) {
-          embed.setThumbnail(songInfo.thumbnail);
-        }
+  const settingsHandlers = {
+    view: handleSettingsView,
+    set: handleSettingsSet,
+    reset: handleSettingsReset
+  };
 
-        await interaction.editReply({ embeds: [embed] });
+  return settingsHandlers[interaction.options.getSubcommand()](interaction);
+}
 
-        if (!isPlaying) {
-          setImmediate(() => playNextSong());
-        }
-      }
-    } 
-    // Search by name
-    else {
-      const songInfo = await searchYouTube(song);
-      if (!songInfo) {
-        return interaction.editReply('❌ No results found for your search.');
-      }
+function createSettingsEmbed(guildId) {
+  const settings = getGuildSettings(guildId);
+  const homeChannelId = getHomeChannelId(guildId);
+  const onOff = value => value ? 'On' : 'Off';
 
-      clearIdleTimeout();
+  return new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle('⚙️ Music Settings')
+    .addFields(
+      { name: SETTING_OPTIONS['home-channel'].label, value: homeChannelId ? `<#${homeChannelId}>` : 'Not set', inline: true },
+      { name: SETTING_OPTIONS['idle-timeout'].label, value: `${settings.idleTimeoutMinutes || DEFAULT_IDLE_TIMEOUT_MINUTES} minutes`, inline: true },
+      { name: SETTING_OPTIONS['stay-in-voice'].label, value: onOff(isStayInVoice(guildId)), inline: true },
+      { name: SETTING_OPTIONS['return-home'].label, value: onOff(settings.returnHome), inline: true },
+      { name: SETTING_OPTIONS['max-queue-size'].label, value: settings.maxQueueSize ? `${settings.maxQueueSize} songs` : 'No limit', inline: true },
+      { name: SETTING_OPTIONS['max-track-length'].label, value: settings.maxTrackMinutes ? `${settings.maxTrackMinutes} minutes` : 'No limit', inline: true },
+      { name: SETTING_OPTIONS['default-volume'].label, value: `${settings.volume ?? DEFAULT_VOLUME}%`, inline: true },
+      { name: SETTING_OPTIONS['announce-channel'].label, value: settings.announceChannelId ? `<#${settings.announceChannelId}>` : 'Where music was requested', inline: true }
+    );
+}
 
-      // Optimized voice connection handling
-      if (!voiceConnection || !isBotInAnyVC() || voiceConnection.joinConfig.channelId !== voiceChannel.id) {
-        
-        if (voiceConnection) {
-          voiceConnection.destroy();
-        }
-        
-        voiceConnection = joinVoiceChannel({
-          channelId: voiceChannel.id,
-          guildId: interaction.guild.id,
-          adapterCreator: interaction.guild.voiceAdapterCreator,
-        });
+async function handleSettingsView(interaction) {
+  return interaction.reply({ embeds: [createSettingsEmbed(interaction.guildId)], ephemeral: true });
+}
 
-        setupVoiceConnectionListeners(voiceConnection);
-        
-        try {
-          await entersState(voiceConnection, VoiceConnectionStatus.Ready, 10_000);
-          console.log(`🔗 Joined voice channel: ${voiceChannel.name}`);
-        } catch (error) {
-          console.error('❌ Failed to join voice channel:', error.message);
-          return interaction.editReply('❌ Failed to join voice channel. Please try again.');
-        }
-      }
+async function handleSettingsSet(interaction) {
+  const changes = {};
+  for (const [name, { key }] of Object.entries(SETTING_OPTIONS)) {
+    const option = interaction.options.get(name);
+    if (option) changes[key] = option.value;
+  }
 
-      currentQueue.push(songInfo);
+  if (Object.keys(changes).length === 0) {
+    return interaction.reply({ content: '❌ Choose at least one setting to change.', ephemeral: true });
+  }
 
-      const embed = new EmbedBuilder()
-        .setColor('#00ff00')
-        .setTitle('🎵 Song Added to Queue')
-        .setDescription(`**${songInfo.title}**`)
-        .addFields(
-          { name: 'Duration', value: songInfo.duration, inline: true },
-          { name: 'Position in Queue', value: `${currentQueue.length}`, inline: true }
-        );
-
-      if (songInfo.thumbnail) {
-        embed.setThumbnail(songInfo.thumbnail);
-      }
+  updateGuildSettings(interaction.guildId, changes);
 
-      await interaction.editReply({ embeds: [embed] });
+  // The live session follows a volume change right away
+  const session = sessions.get(interaction.guildId);
+  if (session && changes.volume !== undefined) {
+    setSessionVolume(session, changes.volume);
+    updateNowPlayingPanel(session);
+  }
 
-      if (!isPlaying) {
-        setImmediate(() => playNextSong());
-      }
-    }
+  return interaction.reply({ content: '✅ Settings updated.', embeds: [createSettingsEmbed(interaction.guildId)], ephemeral: true });
+}
 
-  } catch (error) {
-    console.error('Play command error:', error.message);
-    await interaction.editReply('❌ Error playing the song. Please try again.');
+async function handleSettingsReset(interaction) {
+  const { key, label } = SETTING_OPTIONS[interaction.options.getString('setting')];
+  resetGuildSetting(interaction.guildId, key);
+
+  const session = sessions.get(interaction.guildId);
+  if (session && key === 'volume') {
+    session.volume = DEFAULT_VOLUME;
+    session.currentResource?.volume?.setVolume(DEFAULT_VOLUME / 100);
+    updateNowPlayingPanel(session);
   }
+
+  return interaction.reply({ content: `✅ Reset **${label}** to its default.`, embeds: [createSettingsEmbed(interaction.guildId)], ephemeral: true });
 }
 
-// Optimized skip handler
-async function handleSkip(interaction) {
+// Control panel buttons, gated like the equivalent slash commands
+async function handlePlayerButton(interaction) {
   const vcCheck = checkSameVoiceChannel(interaction);
   if (!vcCheck.allowed) {
     return interaction.reply({ content: vcCheck.message, ephemeral: true });
   }
 
-  if (!isPlaying && !isPaused) {
+  const { session } = vcCheck;
+
+  if (!session.currentSong) {
     return interaction.reply({ content: '❌ No song is currently playing.', ephemeral: true });
   }
 
-  const skippedSong = currentSong;
-  audioPlayer.stop();
-  
-  const embed = new EmbedBuilder()
-    .setColor('#ffff00')
-    .setTitle('⏭️ Song Skipped')
-    .setDescription(`Skipped: **${skippedSong?.title || 'Unknown'}**`);
+  const loopModes = Object.keys(LOOP_MODE_LABELS);
+  const actions = {
+    pause: () => session.isPaused ? resumePlayback(session) : session.audioPlayer.pause(),
+    skip: () => skipSong(session),
+    stop: () => stopPlayback(session),
+    loop: () => {
+      session.loopMode = loopModes[(loopModes.indexOf(session.loopMode) + 1) % loopModes.length];
+      persistSession(session);
+      refreshPrefetch(session);
+    },
+    shuffle: () => shuffleQueue(session),
+    voldown: () => setSessionVolume(session, Math.max(0, session.volume - VOLUME_STEP)),
+    volup: () => setSessionVolume(session, Math.min(MAX_VOLUME, session.volume + VOLUME_STEP))
+  };
 
-  return interaction.reply({ embeds: [embed] });
-}
+  const actionName = interaction.customId.split(':')[1];
+  const action = actions[actionName];
+  if (!action) return;
 
-// Optimized queue handler
-async function handleQueue(interaction) {
-  const vcCheck = checkSameVoiceChannel(interaction);
-  if (!vcCheck.allowed) {
-    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+  if (actionName === 'stop' && !canManageQueue(interaction.member, session)) {
+    return interaction.reply({ content: DJ_ONLY_MESSAGE, ephemeral: true });
   }
 
-  if (currentQueue.length === 0 && !currentSong) {
-    return interaction.reply({ content: '📭 The queue is empty.', ephemeral: true });
+  if (actionName === 'skip' && !canSkipSong(interaction.member, session.currentSong)) {
+    const voteResult = registerSkipVote(session, interaction.member);
+    if (!voteResult.passed) {
+      return interaction.reply({ 
+        content: `🗳️ ${interaction.user} voted to skip **${session.currentSong.title}** (${voteResult.votes}/${voteResult.required} votes).` 
+      });
+    }
   }
 
-  const queueStrings = [];
-  
-  if (currentSong) {
-    queueStrings.push(`**Now Playing:** ${currentSong.title}\n`);
+  action();
+  await interaction.deferUpdate();
+  return updateNowPlayingPanel(session);
+}
+
+// Sessions, songs and positions as the control API reports them
+function serializeSession(session) {
+  return {
+    guildId: session.guildId,
+    voiceChannelId: session.voiceConnection?.joinConfig?.channelId || null,
+    status: session.audioPlayer.state.status,
+    currentSong: session.currentSong,
+    position: getPlaybackPosition(session),
+    queueLength: session.queue.length,
+    loopMode: session.loopMode,
+    autoplay: session.autoplay,
+    volume: session.volume,
+    filters: session.filters
+  };
+}
+
+// The channel API playback goes to: the one asked for, the current one, or home
+async function getApiVoiceChannel(session, voiceChannelId) {
+  const channelId = voiceChannelId || session.voiceConnection?.joinConfig?.channelId;
+  if (!channelId) {
+    return getHomeChannel(session.guildId);
   }
-  
-  if (currentQueue.length > 0) {
-    queueStrings.push('**Queue:**');
-    currentQueue.slice(0, 10).forEach((song, index) => {
-      queueStrings.push(`${index + 1}. ${song.title}`);
+
+  const channel = await getCachedChannel(channelId);
+  return channel?.isVoiceBased() && channel.guild.id === session.guildId ? channel : null;
+}
+
+// Control API routes by method and path below /guilds/:guildId; handlers return [status, body]
+const apiRoutes = {
+  'GET queue': session => [200, { 
+    currentSong: session.currentSong, 
+    position: getPlaybackPosition(session), 
+    queue: session.queue 
+  }],
+
+  'GET nowplaying': session => [200, serializeSession(session)],
+
+  'POST play': async (session, body) => {
+    if (typeof body.query !== 'string' || !body.query.trim()) {
+      return [400, { error: 'query is required' }];
+    }
+    // Shown as a mention in embeds, so it has to be a user ID
+    const requestedBy = body.requestedBy ?? null;
+    if (requestedBy !== null && (typeof requestedBy !== 'string' || !/^\d{17,20}$/.test(requestedBy))) {
+      return [400, { error: 'requestedBy must be a user ID' }];
+    }
+
+    const voiceChannel = await getApiVoiceChannel(session, body.voiceChannelId);
+    if (!voiceChannel) {
+      return [400, { error: 'No voice channel to play in' }];
+    }
+
+    const { songs, position, error } = await queueQuery(session, voiceChannel, body.query.trim(), { 
+      playNext: Boolean(body.playNext),
+      requestedBy
     });
-    
-    if (currentQueue.length > 10) {
-      queueStrings.push(`... and ${currentQueue.length - 10} more songs`);
+    return error ? [400, { error }] : [200, { songs, position }];
+  },
+
+  'POST skip': session => {
+    if (session.trackState === 'idle') {
+      return [409, { error: 'No song is currently playing' }];
     }
-  }
+    return [200, { skipped: skipSong(session) }];
+  },
 
-  const embed = new EmbedBuilder()
-    .setColor('#0099ff')
-    .setTitle('🎵 Music Queue')
-    .setDescription(queueStrings.join('\n') || 'Queue is empty');
+  'POST pause': session => {
+    if (!session.isPlaying || session.isPaused) {
+      return [409, { error: session.isPaused ? 'Music is already paused' : 'No song is currently playing' }];
+    }
+    session.audioPlayer.pause();
+    return [200, serializeSession(session)];
+  },
 
-  return interaction.reply({ embeds: [embed] });
-}
+  'POST resume': session => {
+    if (!session.isPaused) {
+      return [409, { error: 'Music is not paused' }];
+    }
+    resumePlayback(session);
+    return [200, serializeSession(session)];
+  },
 
-// Optimized stop handler
-async function handleStop(interaction) {
-  const vcCheck = checkSameVoiceChannel(interaction);
-  if (!vcCheck.allowed) {
-    return interaction.reply({ content: vcCheck.message, ephemeral: true });
-  }
+  'POST stop': session => {
+    stopPlayback(session);
+    return [200, serializeSession(session)];
+  },
 
-  if (!isPlaying && !isPaused) {
-    return interaction.reply({ content: '❌ No music is currently playing.', ephemeral: true });
-  }
+  'POST volume': (session, body) => {
+    if (!Number.isInteger(body.level) || body.level < 0 || body.level > MAX_VOLUME) {
+      return [400, { error: `level must be a whole number from 0 to ${MAX_VOLUME}` }];
+    }
+    setSessionVolume(session, body.level);
+    updateNowPlayingPanel(session);
+    return [200, serializeSession(session)];
+  },
 
-  audioPlayer.stop();
-  currentQueue.length = 0;
-  currentSong = null;
-  isPlaying = false;
-  isPaused = false;
-  
-  startIdleTimeout();
+  'POST queue/remove': (session, body) => {
+    if (!isValidQueuePosition(session, body.position)) {
+      return [400, { error: 'Invalid queue position' }];
+    }
+    return [200, { removed: removeFromQueue(session, body.position) }];
+  },
 
-  const embed = new EmbedBuilder()
-    .setColor('#ff0000')
-    .setTitle('⏹️ Music Stopped')
-    .setDescription('Stopped music and cleared the queue.');
+  'POST queue/move': (session, body) => {
+    if (!isValidQueuePosition(session, body.from) || !isValidQueuePosition(session, body.to)) {
+      return [400, { error: 'Invalid queue position' }];
+    }
+    return [200, { moved: moveInQueue(session, body.from, body.to) }];
+  },
 
-  return interaction.reply({ embeds: [embed] });
+  'POST queue/shuffle': session => {
+    shuffleQueue(session);
+    return [200, { queue: session.queue }];
+  },
+
+  'POST queue/clear': session => [200, { cleared: clearQueue(session) }]
+};
+
+// Constant-time check of a bearer token. Only browser WebSockets pass queryToken, since
+// they can't set headers and a token in a URL ends up in proxy and access logs.
+function isApiAuthorized(req, queryToken = null) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : queryToken;
+  if (!token) return false;
+
+  const expected = Buffer.from(API_TOKEN);
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
 }
 
-// Optimized now playing handler
-async function handleNowPlaying(interaction) {
-  const vcCheck = checkSameVoiceChannel(interaction);
-  if (!vcCheck.allowed) {
-    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Parse a JSON request body, rejecting anything too large
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+      if (data.length > API_MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handleApiRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  if (!isApiAuthorized(req)) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
   }
 
-  if (!currentSong) {
-    return interaction.reply({ content: '❌ No song is currently playing.', ephemeral: true });
+  if (req.method === 'GET' && url.pathname === '/sessions') {
+    return sendJson(res, 200, [...sessions.values()].map(serializeSession));
   }
 
-  const embed = new EmbedBuilder()
-    .setColor('#00ff00')
-    .setTitle('🎵 Now Playing')
-    .setDescription(`**${currentSong.title}**`)
-    .addFields(
-      { name: 'Status', value: isPaused ? '⏸️ Paused' : '▶️ Playing', inline: true },
-      { name: 'Songs in Queue', value: `${currentQueue.length}`, inline: true }
-    );
+  const match = url.pathname.match(/^\/guilds\/(\d+)\/(.+)$/);
+  const route = match && apiRoutes[`${req.method} ${match[2]}`];
+  if (!route) {
+    return sendJson(res, 404, { error: 'Not found' });
+  }
 
-  if (currentSong.thumbnail) {
-    embed.setThumbnail(currentSong.thumbnail);
+  const guildId = match[1];
+  if (!client.guilds.cache.has(guildId)) {
+    return sendJson(res, 404, { error: 'Unknown guild' });
   }
 
-  return interaction.reply({ embeds: [embed] });
+  let body = {};
+  if (req.method === 'POST') {
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      return sendJson(res, 400, { error: error.message });
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return sendJson(res, 400, { error: 'body must be a JSON object' });
+    }
+  }
+
+  // Reads don't create sessions, commands do like their slash command versions
+  const session = req.method === 'GET' ? sessions.get(guildId) : getGuildSession(guildId);
+  if (!session) {
+    return sendJson(res, 404, { error: 'Nothing is playing in this guild' });
+  }
+
+  try {
+    const [status, result] = await route(session, body);
+    if (result.error) {
+      result.error = result.error.replace(/^❌\s*/, '');
+    }
+    return sendJson(res, status, result);
+  } catch (error) {
+    logger.error('Control API error', { path: url.pathname, error });
+    return sendJson(res, 500, { error: 'Internal error' });
+  }
 }
 
-// Optimized pause handler
-async function handlePause(interaction) {
-  const vcCheck = checkSameVoiceChannel(interaction);
-  if (!vcCheck.allowed) {
-    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+// Optional HTTP control API with a WebSocket event stream at /events
+function startControlApi() {
+  if (!API_PORT) return;
+  if (!API_TOKEN) {
+    logger.error('❌ API_PORT is set without API_TOKEN, not starting the control API');
+    return;
   }
 
-  if (!isPlaying || isPaused) {
-    return interaction.reply({ 
-      content: isPaused ? '❌ Music is already paused.' : '❌ No song is currently playing.', 
-      ephemeral: true 
+  const server = http.createServer((req, res) => {
+    handleApiRequest(req, res).catch(error => {
+      logger.error('Control API error', { path: req.url.split('?')[0], error: error.message });
+      if (!res.headersSent) sendJson(res, 500, { error: 'Internal error' });
     });
-  }
+  });
 
-  audioPlayer.pause();
-  return interaction.reply({ content: '⏸️ Music paused.' });
+  const eventServer = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/events' || !isApiAuthorized(req, url.searchParams.get('token'))) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+
+    eventServer.handleUpgrade(req, socket, head, ws => {
+      // ?guildId= limits the stream to one guild
+      ws.guildId = url.searchParams.get('guildId');
+      const snapshot = [...sessions.values()]
+        .filter(session => !ws.guildId || session.guildId === ws.guildId)
+        .map(serializeSession);
+      ws.send(JSON.stringify({ type: 'sessions', sessions: snapshot }));
+    });
+  });
+
+  sessionEvents.on('event', event => {
+    const message = JSON.stringify(event);
+    for (const ws of eventServer.clients) {
+      if (ws.readyState === WebSocket.OPEN && (!ws.guildId || ws.guildId === event.guildId)) {
+        ws.send(message);
+      }
+    }
+  });
+
+  server.listen(API_PORT, API_HOST, () => {
+    logger.info(`🌐 Control API listening on http://${API_HOST}:${API_PORT}`);
+  });
+  server.on('error', error => logger.error('❌ Control API server error', { error: error.message }));
 }
 
-// Optimized resume handler
-async function handleResume(interaction) {
-  const vcCheck = checkSameVoiceChannel(interaction);
-  if (!vcCheck.allowed) {
-    return interaction.reply({ content: vcCheck.message, ephemeral: true });
-  }
+// Gateway, voice and player status; unhealthy when something should be playing but isn't
+function getHealth() {
+  const guilds = [...sessions.values()].map(session => {
+    const voice = session.voiceConnection?.state.status || 'none';
+    const player = session.audioPlayer.state.status;
+    const state = session.trackState;
+    
+    // Between tracks and during retries the player is idle on purpose, for a while
+    const stalled = (['loading', 'playing'].includes(state) && voice !== VoiceConnectionStatus.Ready) ||
+      (state !== 'idle' && player === AudioPlayerStatus.Idle && 
+        Date.now() - session.trackStateChangedAt > HEALTH_STALL_GRACE_MS);
+    return { guildId: session.guildId, voice, player, state, currentSong: session.currentSong?.title || null, stalled };
+  });
 
-  if (!isPaused) {
-    return interaction.reply({ content: '❌ Music is not paused.', ephemeral: true });
-  }
+  const gateway = client.isReady();
+  return {
+    healthy: gateway && guilds.every(guild => !guild.stalled),
+    gateway,
+    ping: client.ws.ping,
+    uptime: Math.floor(process.uptime()),
+    guilds
+  };
+}
 
-  audioPlayer.unpause();
-  clearIdleTimeout();
-  return interaction.reply({ content: '▶️ Music resumed.' });
+function formatLabels(labels) {
+  const labelText = Object.entries(labels)
+    .map(([key, value]) => `${key}="${String(value).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\n')}"`)
+    .join(',');
+  return labelText ? `{${labelText}}` : '';
 }
 
-// Optimized leave handler
-async function handleLeave(interaction) {
-  const vcCheck = checkSameVoiceChannel(interaction);
-  if (!vcCheck.allowed) {
-    return interaction.reply({ content: vcCheck.message, ephemeral: true });
+// One metric in Prometheus text format; samples are [labels, value] pairs
+function formatMetric(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const [labels, value] of samples) {
+    lines.push(`${name}${formatLabels(labels)} ${value}`);
   }
+  return lines.join('\n');
+}
 
-  if (!voiceConnection) {
-    return interaction.reply({ content: '❌ Bot is not in a voice channel.', ephemeral: true });
+// A summary without quantiles; samples are [labels, { count, seconds }] pairs
+function formatSummary(name, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} summary`];
+  for (const [labels, { count, seconds }] of samples) {
+    lines.push(`${name}_sum${formatLabels(labels)} ${seconds}`, `${name}_count${formatLabels(labels)} ${count}`);
   }
+  return lines.join('\n');
+}
+
+function getMetricsText() {
+  const caches = Object.values(cache);
+  const commands = Object.entries(metrics.commands);
+
+  return [
+    formatMetric('musicbot_tracks_played_total', 'counter', 'Tracks that stopped playing, by how they ended',
+      Object.entries(metrics.tracksPlayed).map(([outcome, count]) => [{ outcome }, count])),
+    formatMetric('musicbot_stream_errors_total', 'counter', 'Audio streams that failed mid-track',
+      [[{}, metrics.streamErrors]]),
+    formatSummary('musicbot_search_duration_seconds', 'YouTube search latency, excluding cache hits',
+      [[{}, metrics.searches]]),
+    formatMetric('musicbot_search_errors_total', 'counter', 'YouTube searches that failed or timed out',
+      [[{}, metrics.searches.errors]]),
+    formatMetric('musicbot_cache_hits_total', 'counter', 'Cache lookups that found a live entry',
+      caches.map(lruCache => [{ cache: lruCache.name }, lruCache.stats.hits])),
+    formatMetric('musicbot_cache_misses_total', 'counter', 'Cache lookups that found nothing or an expired entry',
+      caches.map(lruCache => [{ cache: lruCache.name }, lruCache.stats.misses])),
+    formatMetric('musicbot_cache_hit_ratio', 'gauge', 'Share of cache lookups that hit since startup',
+      caches.map(lruCache => {
+        const lookups = lruCache.stats.hits + lruCache.stats.misses;
+        return [{ cache: lruCache.name }, lookups ? lruCache.stats.hits / lookups : 0];
+      })),
+    formatMetric('musicbot_queue_length', 'gauge', 'Songs waiting in each guild\'s queue',
+      [...sessions.values()].map(session => [{ guild: session.guildId }, session.queue.length])),
+    formatSummary('musicbot_track_gap_seconds', 'Silence between one track ending and the next playing',
+      Object.entries(metrics.trackGaps).map(([prefetched, gaps]) => [{ prefetched }, gaps])),
+    formatMetric('musicbot_voice_reconnects_total', 'counter', 'Voice connections that recovered or retried after a disconnect',
+      [[{}, metrics.voiceReconnects]]),
+    formatMetric('musicbot_commands_total', 'counter', 'Slash commands handled',
+      commands.map(([command, { count }]) => [{ command }, count])),
+    formatMetric('musicbot_command_errors_total', 'counter', 'Slash commands that threw',
+      commands.map(([command, { errors }]) => [{ command }, errors])),
+    formatSummary('musicbot_command_duration_seconds', 'Time spent handling slash commands',
+      commands.map(([command, commandMetrics]) => [{ command }, commandMetrics]))
+  ].join('\n') + '\n';
+}
+
+// Optional unauthenticated /healthz and /metrics server for probes and Prometheus
+function startMetricsServer() {
+  if (!METRICS_PORT) return;
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
 
-  voiceConnection.destroy();
-  voiceConnection = null;
-  audioPlayer.stop();
-  currentQueue.length = 0;
-  currentSong = null;
-  isPlaying = false;
-  isPaused = false;
-  clearIdleTimeout();
+    if (pathname === '/healthz') {
+      const health = getHealth();
+      return sendJson(res, health.healthy ? 200 : 503, health);
+    }
+
+    if (pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      return res.end(getMetricsText());
+    }
 
-  // Use setImmediate instead of setTimeout for better performance
-  setImmediate(() => {
-    setTimeout(() => joinDefaultVC(), 1000);
+    return sendJson(res, 404, { error: 'Not found' });
   });
 
-  return interaction.reply({ content: '👋 Left the voice channel and cleared the queue.' });
+  server.listen(METRICS_PORT, API_HOST, () => {
+    logger.info(`📈 Metrics listening on http://${API_HOST}:${METRICS_PORT}`);
+  });
+  server.on('error', error => logger.error('❌ Metrics server error', { error: error.message }));
+}
+
+// Save playback positions before a restart or shutdown
+for (const signal of ['SIGINT', 'SIGTERM', 'SIGUSR2']) {
+  process.once(signal, () => {
+    sessions.forEach(session => persistSession(session));
+    cache.videoInfo.flush();
+    cache.unplayable.flush();
+    process.exit(0);
+  });
 }
 
 // Enhanced error handling
 process.on('unhandledRejection', (error) => {
-  console.error('Unhandled promise rejection:', error.message);
+  logger.error('Unhandled promise rejection', { error });
 });
 
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught exception:', error.message);
+  logger.error('Uncaught exception', { error });
 });
 
 // Login to Discord